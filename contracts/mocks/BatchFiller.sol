@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.15;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@1inch/solidity-utils/contracts/libraries/RevertReasonForwarder.sol";
+import "@1inch/solidity-utils/contracts/libraries/SafeERC20.sol";
+import "../interfaces/IOrderMixin.sol";
+
+/// @title Runs `fillOrderTo` calls in sequence and checks the amounts of the whole batch, reverting all fills at once.
+/// Pulls `maxTakingAmount` of `takerAsset` from the caller upfront, which caps what the fills can spend, and returns the rest
+contract BatchFiller {
+    using SafeERC20 for IERC20;
+
+    error NotFillOrderTo(uint256 index);
+    error MakingAmountTooLow();
+
+    IOrderMixin public immutable limitOrderProtocol;
+
+    constructor(IOrderMixin limitOrderProtocol_) {
+        limitOrderProtocol = limitOrderProtocol_;
+    }
+
+    /// @param fills `fillOrderTo` calldata of orders allowing this contract as a sender
+    function fillOrdersTo(
+        IERC20 takerAsset,
+        bytes[] calldata fills,
+        uint256 minMakingAmount,
+        uint256 maxTakingAmount
+    ) external returns(uint256 makingAmount, uint256 takingAmount) {
+        takerAsset.safeTransferFrom(msg.sender, address(this), maxTakingAmount);
+        takerAsset.forceApprove(address(limitOrderProtocol), maxTakingAmount);
+
+        for (uint256 i = 0; i < fills.length; i++) {
+            if (fills[i].length < 4 || bytes4(fills[i][:4]) != IOrderMixin.fillOrderTo.selector) revert NotFillOrderTo(i);
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, bytes memory result) = address(limitOrderProtocol).call(fills[i]);
+            if (!success) RevertReasonForwarder.reRevert();
+            (uint256 actualMakingAmount, uint256 actualTakingAmount,) = abi.decode(result, (uint256, uint256, bytes32));
+            makingAmount += actualMakingAmount;
+            takingAmount += actualTakingAmount;
+        }
+
+        if (makingAmount < minMakingAmount) revert MakingAmountTooLow();
+
+        takerAsset.forceApprove(address(limitOrderProtocol), 0);
+        takerAsset.safeTransfer(msg.sender, maxTakingAmount - takingAmount);
+    }
+}
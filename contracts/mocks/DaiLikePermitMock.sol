@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.15;
+pragma abicoder v1;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+
+/// @title Token with DAI's `permit` which approves either unlimited or zero amount
+contract DaiLikePermitMock is ERC20, EIP712, Ownable {
+    error PermitExpired();
+    error InvalidNonce();
+    error InvalidSignature();
+
+    // keccak256("Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)")
+    bytes32 public constant PERMIT_TYPEHASH = 0xea2aa0a1be11a07ed86d755c93467f4f82362b452371d1ba94d1715123511acb;
+
+    mapping(address => uint256) public nonces;
+
+    // solhint-disable-next-line no-empty-blocks
+    constructor(string memory name, string memory symbol) ERC20(name, symbol) EIP712(name, "1") {}
+
+    function mint(address account, uint256 amount) external onlyOwner {
+        _mint(account, amount);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns(bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function permit(address holder, address spender, uint256 nonce, uint256 expiry, bool allowed, uint8 v, bytes32 r, bytes32 s) external {
+        // solhint-disable-next-line not-rely-on-time
+        if (expiry != 0 && block.timestamp > expiry) revert PermitExpired();
+        if (nonce != nonces[holder]++) revert InvalidNonce();
+        bytes32 hash = _hashTypedDataV4(keccak256(abi.encode(PERMIT_TYPEHASH, holder, spender, nonce, expiry, allowed)));
+        if (ECDSA.recover(hash, v, r, s) != holder) revert InvalidSignature();
+        _approve(holder, spender, allowed ? type(uint256).max : 0);
+    }
+}
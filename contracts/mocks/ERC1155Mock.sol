@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.15;
+pragma abicoder v1;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/// @title Generic ERC-1155 token for testing purposes
+contract ERC1155Mock is ERC1155, Ownable {
+    // solhint-disable-next-line no-empty-blocks
+    constructor(string memory uri) ERC1155(uri) {}
+
+    function mint(address to, uint256 id, uint256 amount, bytes calldata data) external onlyOwner {
+        _mint(to, id, amount, data);
+    }
+}
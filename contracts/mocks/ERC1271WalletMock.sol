@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.15;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @title Mock smart contract wallet accepting 64 and 65 byte signatures of its owner
+contract ERC1271WalletMock is IERC1271 {
+    error NotOwner();
+
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function approve(IERC20 token, address spender, uint256 amount) external {
+        if (msg.sender != owner) revert NotOwner();
+        token.approve(spender, amount);
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns(bytes4) {
+        return ECDSA.recover(hash, signature) == owner ? this.isValidSignature.selector : bytes4(0);
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.15;
+pragma abicoder v1;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@1inch/solidity-utils/contracts/libraries/SafeERC20.sol";
+
+import "../helpers/ImmutableOwner.sol";
+
+/* solhint-disable func-name-mixedcase */
+
+/// @title Permit2 style allowance holder: token holders approve it once and grant signed allowances to its immutable owner.
+/// `permit` shares the `IERC20Permit.permit` selector so that `SafeERC20.safePermit` can call it,
+/// the word which is `spender` there carries the token here
+contract Permit2Mock is ImmutableOwner, EIP712 {
+    using SafeERC20 for IERC20;
+
+    error Permit2MockBadSelector();
+    error PermitExpired();
+    error InvalidSignature();
+    error AllowanceExceeded();
+
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("PermitSingle(address owner,address token,address spender,uint256 amount,uint256 nonce,uint256 deadline)");
+
+    mapping(address => mapping(IERC20 => uint256)) public allowance;
+    mapping(address => mapping(IERC20 => uint256)) public nonces;
+
+    constructor(address _immutableOwner) ImmutableOwner(_immutableOwner) EIP712("Permit2", "1") {
+        if (Permit2Mock.func_60iHVgK.selector != IERC20.transferFrom.selector) revert Permit2MockBadSelector();
+    }
+
+    function DOMAIN_SEPARATOR() external view returns(bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function permit(address owner, IERC20 token, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        // solhint-disable-next-line not-rely-on-time
+        if (block.timestamp > deadline) revert PermitExpired();
+        bytes32 hash = _hashTypedDataV4(keccak256(abi.encode(PERMIT_TYPEHASH, owner, token, immutableOwner, amount, nonces[owner][token]++, deadline)));
+        if (ECDSA.recover(hash, v, r, s) != owner) revert InvalidSignature();
+        allowance[owner][token] = amount;
+    }
+
+    /// @notice Proxy transfer method spending the allowance granted by `permit`. Selector must match `IERC20.transferFrom`.
+    /// The order asset is this contract with asset data of an unused word and the token
+    // keccak256("func_60iHVgK(address,address,uint256,uint256,address)") == 0x23b872dd (IERC20.transferFrom)
+    function func_60iHVgK(address from, address to, uint256 amount, uint256 /* unused */, IERC20 token) external onlyImmutableOwner {
+        uint256 allowed = allowance[from][token];
+        if (amount > allowed) revert AllowanceExceeded();
+        allowance[from][token] = allowed - amount;
+        token.safeTransferFrom(from, to, amount);
+    }
+}
+
+/* solhint-enable func-name-mixedcase */
@@ -7,6 +7,7 @@ import "../interfaces/IWhitelistRegistry.sol";
 
 contract WhitelistRegistryMock is IWhitelistRegistry {
     bool public allowed;
+    mapping(address => uint256) public statuses;
 
     function allow() public {
         allowed = true;
@@ -16,11 +17,15 @@ contract WhitelistRegistryMock is IWhitelistRegistry {
         allowed = false;
     }
 
-    function status(address) external view returns (uint256) {
+    function setStatus(address addr, uint256 newStatus) public {
+        statuses[addr] = newStatus;
+    }
+
+    function status(address addr) external view returns (uint256) {
         if (allowed) {
             return 1;
         }
 
-        return 0;
+        return statuses[addr];
     }
 }
@@ -4,6 +4,12 @@ require('solidity-coverage');
 require('hardhat-deploy');
 require('hardhat-gas-reporter');
 require('dotenv').config();
+require('./tasks/deployments');
+require('./tasks/errors');
+require('./tasks/indexer');
+require('./tasks/orders');
+require('./tasks/relay');
+require('./tasks/whitelist');
 
 const { networks, etherscan } = require('./hardhat.networks');
 
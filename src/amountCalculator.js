@@ -0,0 +1,135 @@
+const abiCoder = require('web3-eth-abi');
+const { decodeOrder } = require('./orderUtils');
+const { staticcallForUint, toBN, trim0x } = require('./utils');
+
+// Same as `AmountCalculator.getMakingAmount`, floored
+function getMakingAmount (orderMakerAmount, orderTakerAmount, swapTakerAmount) {
+    return toBN(swapTakerAmount).mul(toBN(orderMakerAmount)).div(toBN(orderTakerAmount));
+}
+
+// Same as `AmountCalculator.getTakingAmount`, ceiled
+function getTakingAmount (orderMakerAmount, orderTakerAmount, swapMakerAmount) {
+    return toBN(swapMakerAmount).mul(toBN(orderTakerAmount)).add(toBN(orderMakerAmount)).subn(1).div(toBN(orderMakerAmount));
+}
+
+class FillError extends Error {
+    constructor (name) {
+        super(name);
+        this.name = name;
+    }
+}
+
+// Mirrors `OrderMixin._callGetter`, custom getters are resolved with `eth_call`
+async function callGetter (getter, orderExpectedAmount, amount, orderResultAmount, { web3, blockNumber = 'latest' }) {
+    const hex = trim0x(getter);
+    if (hex.length === 2) {
+        if (hex !== '78') { // "x"
+            throw new FillError('WrongGetter');
+        }
+        if (!toBN(amount).eq(toBN(orderExpectedAmount))) {
+            throw new FillError('WrongAmount');
+        }
+        return toBN(orderResultAmount);
+    }
+
+    if (web3 === undefined) {
+        throw new Error('web3 is required to call custom amount getters');
+    }
+    if (hex.length < 40) {
+        throw new FillError('IncorrectDataLength');
+    }
+    const { success, result } = await staticcallForUint(
+        web3,
+        '0x' + hex.substring(0, 40),
+        '0x' + hex.substring(40) + trim0x(abiCoder.encodeParameter('uint256', amount.toString())),
+        blockNumber,
+    );
+    if (!success) {
+        throw new FillError('GetAmountCallFailed');
+    }
+    return toBN(result);
+}
+
+async function getActualMakingAmount (getter, order, takingAmount, options) {
+    if (getter === '0x') {
+        return getMakingAmount(order.makingAmount, order.takingAmount, takingAmount);
+    }
+    return callGetter(getter, order.takingAmount, takingAmount, order.makingAmount, options);
+}
+
+async function getActualTakingAmount (getter, order, makingAmount, options) {
+    if (getter === '0x') {
+        return getTakingAmount(order.makingAmount, order.takingAmount, makingAmount);
+    }
+    return callGetter(getter, order.makingAmount, makingAmount, order.takingAmount, options);
+}
+
+// Predicts actual amounts of `OrderMixin.fillOrderTo` for the order with `remaining` maker amount left
+// (`undefined` for an order which was never filled) and the name of the custom error the fill would revert with.
+// `threshold` is checked only when given. Amounts offered by the taker interaction are not taken into account.
+// Orders whose offsets do not cover the getters throw
+async function quoteFill (order, remaining, { makingAmount = '0', takingAmount = '0', threshold, web3, blockNumber } = {}) {
+    const { getMakingAmount: makingGetter, getTakingAmount: takingGetter, errors } = decodeOrder(order);
+    for (const [field, getter] of [['getMakingAmount', makingGetter], ['getTakingAmount', takingGetter]]) {
+        if (getter === null) {
+            throw new Error(`Malformed order ${errors.find(error => error.startsWith(`${field}:`))}`);
+        }
+    }
+    const options = { web3, blockNumber };
+    const requestedMakingAmount = toBN(makingAmount);
+    const requestedTakingAmount = toBN(takingAmount);
+    const remainingMakerAmount = toBN(remaining === undefined ? order.makingAmount : remaining);
+
+    let actualMakingAmount = requestedMakingAmount;
+    let actualTakingAmount = requestedTakingAmount;
+    try {
+        if (remainingMakerAmount.isZero()) {
+            throw new FillError('RemainingAmountIsZero');
+        }
+        if (requestedTakingAmount.isZero() === requestedMakingAmount.isZero()) {
+            throw new FillError('OnlyOneAmountShouldBeZero');
+        } else if (requestedTakingAmount.isZero()) {
+            if (actualMakingAmount.gt(remainingMakerAmount)) {
+                actualMakingAmount = remainingMakerAmount;
+            }
+            actualTakingAmount = await getActualTakingAmount(takingGetter, order, actualMakingAmount, options);
+            if (threshold !== undefined && actualTakingAmount.mul(requestedMakingAmount).gt(toBN(threshold).mul(actualMakingAmount))) {
+                throw new FillError('TakingAmountTooHigh');
+            }
+        } else {
+            actualMakingAmount = await getActualMakingAmount(makingGetter, order, actualTakingAmount, options);
+            if (actualMakingAmount.gt(remainingMakerAmount)) {
+                actualMakingAmount = remainingMakerAmount;
+                actualTakingAmount = await getActualTakingAmount(takingGetter, order, actualMakingAmount, options);
+            }
+            if (threshold !== undefined && actualMakingAmount.mul(requestedTakingAmount).lt(toBN(threshold).mul(actualTakingAmount))) {
+                throw new FillError('MakingAmountTooLow');
+            }
+        }
+
+        if (actualMakingAmount.isZero() || actualTakingAmount.isZero()) {
+            throw new FillError('SwapWithZeroAmount');
+        }
+    } catch (e) {
+        if (!(e instanceof FillError)) {
+            throw e;
+        }
+        return {
+            makingAmount: actualMakingAmount.toString(),
+            takingAmount: actualTakingAmount.toString(),
+            error: e.name,
+        };
+    }
+
+    return {
+        makingAmount: actualMakingAmount.toString(),
+        takingAmount: actualTakingAmount.toString(),
+        remaining: remainingMakerAmount.sub(actualMakingAmount).toString(),
+    };
+}
+
+module.exports = {
+    getMakingAmount,
+    getTakingAmount,
+    quoteFill,
+};
@@ -0,0 +1,269 @@
+const { remainingsRaw } = require('./orderBook');
+const { Order, decodeOrder, detectProtocolFlavour, hashOrder } = require('./orderUtils');
+const { parsePredicate } = require('./predicates');
+const { decodeInfo, invalidatorForOrderRFQ, invalidatorPosition, isInvalidated } = require('./rfqInvalidator');
+const { parseSeriesNonceEquals, readSeriesNonces } = require('./seriesNonces');
+const { call, encodeCall, toBN } = require('./utils');
+
+const MAX_ADVANCE = 255;
+
+function sameAddress (a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// `{ group, nonce }` of the nonce checks on `maker` in the predicate tree, `group` is 'protocol' for `NonceManager`
+// and `series:<n>` for `SeriesNonceManager`. With `required` only the checks the predicate can not pass without,
+// i.e. operands of top level `and`s, are returned
+function nonceChecks (node, { maker, seriesNonceManager, required }) {
+    switch (node.type) {
+    case 'and':
+        return node.args.flatMap(arg => nonceChecks(arg, { maker, seriesNonceManager, required }));
+    case 'or':
+        return required ? [] : node.args.flatMap(arg => nonceChecks(arg, { maker, seriesNonceManager, required }));
+    case 'eq':
+    case 'lt':
+    case 'gt':
+        return required ? [] : nonceChecks(node.arg, { maker, seriesNonceManager, required });
+    case 'nonceEquals':
+        return sameAddress(node.maker, maker) ? [{ group: 'protocol', nonce: toBN(node.nonce) }] : [];
+    case 'timestampBelowAndNonceEquals':
+        return sameAddress(node.account, maker) ? [{ group: 'protocol', nonce: toBN(node.nonce) }] : [];
+    }
+    const check = seriesNonceManager === undefined ? undefined : parseSeriesNonceEquals(node, seriesNonceManager);
+    if (check === undefined || !sameAddress(check.maker, maker)) {
+        return [];
+    }
+    return [{ group: `series:${check.series}`, nonce: toBN(check.nonce) }];
+}
+
+function predicateNonceChecks (order, options) {
+    const { predicate } = decodeOrder(order);
+    if (!predicate || predicate === '0x') {
+        return [];
+    }
+    try {
+        return nonceChecks(parsePredicate(predicate), options);
+    } catch (e) {
+        // Predicates which do not parse can not contain nonce checks the protocol would reach
+        return [];
+    }
+}
+
+// Transactions moving the nonce of `group` forward by `amount`, `advanceNonce` takes at most 255 at once
+function bumpTransactions (group, amount, { protocol, seriesNonceManager }) {
+    const txs = [];
+    for (let left = toBN(amount); left.gtn(0); left = left.subn(MAX_ADVANCE)) {
+        const step = left.gtn(MAX_ADVANCE) ? MAX_ADVANCE : left.toNumber();
+        if (group === 'protocol') {
+            txs.push(step === 1
+                ? { to: protocol, method: 'increaseNonce', args: [], data: encodeCall('increaseNonce', [], []) }
+                : {
+                    to: protocol,
+                    method: 'advanceNonce',
+                    args: [String(step)],
+                    data: encodeCall('advanceNonce', ['uint8'], [String(step)]),
+                });
+        } else {
+            const series = group.substring('series:'.length);
+            txs.push(step === 1
+                ? {
+                    to: seriesNonceManager,
+                    method: 'increaseNonce',
+                    args: [series],
+                    data: encodeCall('increaseNonce', ['uint8'], [series]),
+                }
+                : {
+                    to: seriesNonceManager,
+                    method: 'advanceNonce',
+                    args: [series, String(step)],
+                    data: encodeCall('advanceNonce', ['uint8', 'uint8'], [series, String(step)]),
+                });
+        }
+    }
+    return txs;
+}
+
+// Current nonce of every group in `groups`
+async function readNonces (web3, groups, { protocol, seriesNonceManager, maker, blockNumber }) {
+    const nonces = {};
+    if (groups.has('protocol')) {
+        nonces.protocol = toBN(await call(web3, protocol, 'nonce', ['address'], [maker], blockNumber));
+    }
+    const series = [...groups].filter(group => group !== 'protocol').map(group => Number(group.substring('series:'.length)));
+    if (series.length > 0) {
+        const seriesNonces = await readSeriesNonces(web3, seriesNonceManager, maker, series, { blockNumber });
+        for (const s of series) {
+            nonces[`series:${s}`] = toBN(seriesNonces[s]);
+        }
+    }
+    return nonces;
+}
+
+// Plans the cheapest set of transactions killing every entry (`{ order }` of `Order` or `OrderRFQ`) of `maker`.
+// An order whose predicate can not pass without a nonce check on the maker current (or a future) nonce dies with a
+// nonce bump of the protocol or of a `SeriesNonceManager` series, RFQ orders are cancelled with one `cancelOrderRFQ`
+// per invalidator slot and the rest with a `cancelOrder` each. A bump is chosen while it costs less gas than the
+// cancels it saves. Bumps also kill orders missing from `entries`, so no bump is planned which would kill an order
+// in `keep`. Returns `{ transactions, orders, gas }`: `transactions` of `{ to, method, args, data, gas, orders }` in
+// sending order and `orders` of `{ index, method, transactions }`, or `{ index, method: 'none', reason }` for orders
+// which are already dead. The protocol `flavour` is detected from its `DOMAIN_SEPARATOR()` unless given
+async function planCancellation (web3, entries, { protocol, seriesNonceManager, maker, keep = [], flavour, blockNumber = 'latest' }) {
+    const owner = maker || (entries.length > 0 ? entries[0].order.maker : undefined);
+    for (const [index, { order }] of entries.entries()) {
+        if (!sameAddress(order.maker, owner)) {
+            throw new Error(`Order ${index} is not made by ${owner}`);
+        }
+    }
+    const options = { maker: owner, seriesNonceManager };
+    const chainId = await web3.eth.getChainId();
+    if (flavour === undefined) {
+        flavour = await detectProtocolFlavour(web3, protocol, chainId);
+    }
+    const { timestamp } = await web3.eth.getBlock(blockNumber);
+    const gasCache = new Map();
+    const estimate = async ({ to, data }) => {
+        const key = `${to}:${data}`.toLowerCase();
+        if (!gasCache.has(key)) {
+            gasCache.set(key, Number(await web3.eth.estimateGas({ from: owner, to, data })));
+        }
+        return gasCache.get(key);
+    };
+
+    const limitEntries = entries.map(({ order }, index) => ({ index, order })).filter(({ order }) => order.info === undefined);
+    const rfqEntries = entries.map(({ order }, index) => ({ index, order })).filter(({ order }) => order.info !== undefined);
+    const checks = new Map(limitEntries.map(({ index, order }) => [index, predicateNonceChecks(order, { ...options, required: true })]));
+    const keepChecks = keep.filter(({ order }) => order.info === undefined)
+        .flatMap(({ order }) => predicateNonceChecks(order, { ...options, required: false }));
+    const nonces = await readNonces(web3, new Set([...checks.values()].flat().map(({ group }) => group)), { protocol, ...options, blockNumber });
+
+    const result = [];
+    const pending = [];
+    const raws = await remainingsRaw(web3, protocol, limitEntries.map(({ order }) => hashOrder(order, chainId, protocol, flavour)), blockNumber);
+    for (const [i, { index, order }] of limitEntries.entries()) {
+        if (raws[i].eqn(1)) {
+            result.push({ index, method: 'none', reason: 'filled or cancelled' });
+            continue;
+        }
+        if (checks.get(index).some(({ group, nonce }) => nonce.lt(nonces[group]))) {
+            result.push({ index, method: 'none', reason: 'nonce already advanced' });
+            continue;
+        }
+        const data = encodeCall('cancelOrder', [{ name: 'order', type: 'tuple', components: Order }], [order]);
+        pending.push({ index, cancel: { to: protocol, method: 'cancelOrder', args: [order], data, gas: await estimate({ to: protocol, data }) } });
+    }
+
+    // Every target a group nonce can be bumped past, killing the pending orders checking that or a lower nonce
+    const bumps = [];
+    const groups = new Set(pending.flatMap(({ index }) => checks.get(index).map(({ group }) => group)));
+    for (const group of groups) {
+        const current = nonces[group];
+        const members = pending.flatMap(({ index }) => checks.get(index).filter(check => check.group === group).map(({ nonce }) => ({ index, nonce })));
+        const targets = [...new Set(members.map(({ nonce }) => nonce.toString()))].map(nonce => toBN(nonce)).sort((a, b) => a.cmp(b));
+        for (const target of targets) {
+            if (keepChecks.some(({ group: g, nonce }) => g === group && nonce.gte(current) && nonce.lte(target))) {
+                break;
+            }
+            const amount = target.sub(current).addn(1);
+            const killed = members.filter(({ nonce }) => nonce.lte(target)).map(({ index }) => index);
+            // A bump taking more transactions than the orders it kills is not worth building
+            if (amount.gt(toBN(MAX_ADVANCE).muln(killed.length))) {
+                continue;
+            }
+            const txs = bumpTransactions(group, amount, { protocol, seriesNonceManager });
+            for (const tx of txs) {
+                tx.gas = await estimate(tx);
+            }
+            bumps.push({ group, txs, gas: txs.reduce((sum, tx) => sum + tx.gas, 0), killed });
+        }
+    }
+
+    // Greedily takes the bump saving the most gas over the cancels of orders not killed yet, one bump per group
+    const cancelGas = new Map(pending.map(({ index, cancel }) => [index, cancel.gas]));
+    const killedBy = new Map();
+    const chosen = [];
+    for (;;) {
+        let best;
+        for (const bump of bumps) {
+            if (chosen.some(({ group }) => group === bump.group)) {
+                continue;
+            }
+            const saved = bump.killed.filter(index => !killedBy.has(index)).reduce((sum, index) => sum + cancelGas.get(index), 0) - bump.gas;
+            if (saved > 0 && (best === undefined || saved > best.saved)) {
+                best = { bump, saved };
+            }
+        }
+        if (best === undefined) {
+            break;
+        }
+        chosen.push(best.bump);
+        for (const index of best.bump.killed.filter(index => !killedBy.has(index))) {
+            killedBy.set(index, best.bump);
+        }
+    }
+
+    const transactions = [];
+    const addTransaction = (tx, orders) => {
+        transactions.push({ to: tx.to, method: tx.method, args: tx.args, data: tx.data, gas: tx.gas, orders });
+        return transactions.length - 1;
+    };
+    for (const bump of chosen) {
+        const orders = [...killedBy.entries()].filter(([, by]) => by === bump).map(([index]) => index).sort((a, b) => a - b);
+        const txIndexes = bump.txs.map(tx => addTransaction(tx, orders));
+        for (const index of orders) {
+            result.push({ index, method: bump.group === 'protocol' ? 'nonce' : 'seriesNonce', transactions: txIndexes });
+        }
+    }
+
+    const slots = new Map();
+    for (const { index, order } of rfqEntries) {
+        const { expiration } = decodeInfo(order.info);
+        if (expiration !== '0' && toBN(timestamp).gt(toBN(expiration))) {
+            result.push({ index, method: 'none', reason: 'expired' });
+            continue;
+        }
+        const { slot, bit } = invalidatorPosition(order.info);
+        if (!slots.has(slot)) {
+            slots.set(slot, { invalidator: await invalidatorForOrderRFQ(web3, protocol, owner, slot, blockNumber), mask: toBN(0), orders: [] });
+        }
+        const entry = slots.get(slot);
+        if (isInvalidated(entry.invalidator, order.info)) {
+            result.push({ index, method: 'none', reason: 'filled or cancelled' });
+            continue;
+        }
+        entry.mask = entry.mask.setn(bit, 1);
+        entry.orders.push(index);
+    }
+    for (const [slot, { mask, orders }] of slots) {
+        if (orders.length === 0) {
+            continue;
+        }
+        const orderInfo = toBN(slot).shln(8).addn(mask.zeroBits()).toString();
+        const tx = mask.bitLength() - 1 === mask.zeroBits()
+            ? { to: protocol, method: 'cancelOrderRFQ', args: [orderInfo], data: encodeCall('cancelOrderRFQ', ['uint256'], [orderInfo]) }
+            : {
+                to: protocol,
+                method: 'cancelOrderRFQ',
+                args: [orderInfo, mask.toString()],
+                data: encodeCall('cancelOrderRFQ', ['uint256', 'uint256'], [orderInfo, mask.toString()]),
+            };
+        tx.gas = await estimate(tx);
+        const txIndex = addTransaction(tx, orders);
+        for (const index of orders) {
+            result.push({ index, method: 'cancelOrderRFQ', transactions: [txIndex] });
+        }
+    }
+
+    for (const { index, cancel } of pending.filter(({ index }) => !killedBy.has(index))) {
+        result.push({ index, method: 'cancelOrder', transactions: [addTransaction(cancel, [index])] });
+    }
+
+    return {
+        transactions,
+        orders: result.sort((a, b) => a.index - b.index),
+        gas: transactions.reduce((sum, { gas }) => sum + gas, 0),
+    };
+}
+
+module.exports = {
+    planCancellation,
+};
@@ -0,0 +1,118 @@
+const abiCoder = require('web3-eth-abi');
+const { buildOrder } = require('./orderUtils');
+const { and, arbitraryStaticCall, gt, lt } = require('./predicates');
+const { toBN, trim0x } = require('./utils');
+
+// `ChainlinkCalculator._SPREAD_DENOMINATOR`, spread of 1e9 means no spread
+const SPREAD_DENOMINATOR = '1000000000';
+
+// Prices used by predicates are requested for 1e18 units, i.e. scaled by 1e18
+const PRICE_AMOUNT = '1000000000000000000';
+
+function inverseAndSpread (inverse, spread = SPREAD_DENOMINATOR) {
+    return toBN(spread).setn(255, inverse).toString();
+}
+
+function singlePriceCall (oracle, inverse, spread, amount) {
+    return abiCoder.encodeFunctionCall({
+        name: 'singlePrice',
+        type: 'function',
+        inputs: [{ name: 'oracle', type: 'address' }, { name: 'inverseAndSpread', type: 'uint256' }, { name: 'amount', type: 'uint256' }],
+    }, [oracle, inverseAndSpread(inverse, spread), amount.toString()]);
+}
+
+function doublePriceCall (oracle1, oracle2, spread, decimalsScale, amount) {
+    return abiCoder.encodeFunctionCall({
+        name: 'doublePrice',
+        type: 'function',
+        inputs: [
+            { name: 'oracle1', type: 'address' },
+            { name: 'oracle2', type: 'address' },
+            { name: 'spread', type: 'uint256' },
+            { name: 'decimalsScale', type: 'int256' },
+            { name: 'amount', type: 'uint256' },
+        ],
+    }, [oracle1, oracle2, spread.toString(), decimalsScale.toString(), amount.toString()]);
+}
+
+// Amount getters are stored without the trailing amount argument, `OrderMixin._callGetter` appends it
+function cutAmount (call) {
+    return call.substring(0, call.length - 64);
+}
+
+function singlePriceGetter (chainlink, oracle, inverse, spread = SPREAD_DENOMINATOR) {
+    return chainlink + trim0x(cutAmount(singlePriceCall(oracle, inverse, spread, 0)));
+}
+
+function doublePriceGetter (chainlink, oracle1, oracle2, decimalsScale = 0, spread = SPREAD_DENOMINATOR) {
+    return chainlink + trim0x(cutAmount(doublePriceCall(oracle1, oracle2, spread, decimalsScale, 0)));
+}
+
+// `arbitraryStaticCall` returning the 1e18 scaled price: of `oracle` answer (inverted when `inverse` is set),
+// or of `oracle` answer relative to `oracle2` answer when the latter is given
+function oraclePrice (chainlink, { oracle, oracle2, inverse = false, decimalsScale = 0 }) {
+    const call = oracle2 === undefined
+        ? singlePriceCall(oracle, inverse, SPREAD_DENOMINATOR, PRICE_AMOUNT)
+        : doublePriceCall(oracle, oracle2, SPREAD_DENOMINATOR, decimalsScale, PRICE_AMOUNT);
+    return arbitraryStaticCall(chainlink, call);
+}
+
+function withPredicate (interactions, predicate) {
+    return {
+        ...interactions,
+        predicate: interactions.predicate === undefined || interactions.predicate === '0x'
+            ? predicate
+            : and(interactions.predicate, predicate),
+    };
+}
+
+// Order priced by `oracle` at fill time instead of by its amounts.
+// `oracle` answers the price of the taker asset in maker asset units, set `inverse` when it is the other way around.
+// Spreads are scaled by 1e9: `makingSpread` of 0.99e9 gives 1% less maker asset, `takingSpread` of 1.01e9 asks 1% more taker asset
+function oracleLimitOrder (
+    orderParams,
+    { chainlink, oracle, inverse = false, makingSpread = SPREAD_DENOMINATOR, takingSpread = SPREAD_DENOMINATOR },
+    interactions = {},
+) {
+    return buildOrder(orderParams, {
+        ...interactions,
+        getMakingAmount: singlePriceGetter(chainlink, oracle, inverse, makingSpread),
+        getTakingAmount: singlePriceGetter(chainlink, oracle, !inverse, takingSpread),
+    });
+}
+
+// Order priced by two oracles quoting both assets in the same unit, e.g. USD.
+// `decimalsScale` is maker asset decimals minus taker asset decimals
+function crossOracleOrder (
+    orderParams,
+    { chainlink, makerOracle, takerOracle, decimalsScale = 0, makingSpread = SPREAD_DENOMINATOR, takingSpread = SPREAD_DENOMINATOR },
+    interactions = {},
+) {
+    return buildOrder(orderParams, {
+        ...interactions,
+        getMakingAmount: doublePriceGetter(chainlink, takerOracle, makerOracle, decimalsScale, makingSpread),
+        getTakingAmount: doublePriceGetter(chainlink, makerOracle, takerOracle, -decimalsScale, takingSpread),
+    });
+}
+
+// Order fillable only while the 1e18 scaled `oraclePrice` is below `threshold`
+function stopLossOrder (orderParams, { chainlink, threshold, ...price }, interactions = {}) {
+    return buildOrder(orderParams, withPredicate(interactions, lt(threshold, oraclePrice(chainlink, price))));
+}
+
+// Order fillable only while the 1e18 scaled `oraclePrice` is above `threshold`
+function takeProfitOrder (orderParams, { chainlink, threshold, ...price }, interactions = {}) {
+    return buildOrder(orderParams, withPredicate(interactions, gt(threshold, oraclePrice(chainlink, price))));
+}
+
+module.exports = {
+    SPREAD_DENOMINATOR,
+    inverseAndSpread,
+    singlePriceGetter,
+    doublePriceGetter,
+    oraclePrice,
+    oracleLimitOrder,
+    crossOracleOrder,
+    stopLossOrder,
+    takeProfitOrder,
+};
@@ -0,0 +1,85 @@
+const deployments = require('./deployments.json');
+
+const CONTRACTS = ['LimitOrderProtocol', 'LimitOrderProtocolPro', 'SeriesNonceManager', 'WethUnwrapper', 'WhitelistChecker'];
+
+// Builds the content of `deployments.json` from `[{ network, chainId, contracts: { <name>: { address, abi } } }]`.
+// Contracts redeployed with a different interface keep every ABI version, the most widely deployed one first
+function buildDeployments (networks) {
+    const result = { networks: {}, addresses: {}, abis: {} };
+    for (const { network, chainId, contracts } of [...networks].sort((a, b) => a.chainId - b.chainId)) {
+        result.networks[chainId] = network;
+        result.addresses[chainId] = {};
+        for (const name of CONTRACTS.filter(name => contracts[name] !== undefined)) {
+            const { address, abi } = contracts[name];
+            result.addresses[chainId][name] = address;
+
+            const versions = result.abis[name] = result.abis[name] || [];
+            const version = versions.find(version => JSON.stringify(version.abi) === JSON.stringify(abi));
+            if (version === undefined) {
+                versions.push({ chainIds: [Number(chainId)], abi });
+            } else {
+                version.chainIds.push(Number(chainId));
+            }
+        }
+    }
+    for (const name of Object.keys(result.abis)) {
+        result.abis[name].sort((a, b) => b.chainIds.length - a.chainIds.length);
+    }
+    return result;
+}
+
+// Human readable differences between two `buildDeployments` results, empty when they are the same
+function diffDeployments (current, next) {
+    const lines = [];
+    const chainIds = [...new Set([...Object.keys(current.addresses), ...Object.keys(next.addresses)])].sort((a, b) => a - b);
+    for (const chainId of chainIds) {
+        const before = current.addresses[chainId] || {};
+        const after = next.addresses[chainId] || {};
+        for (const name of CONTRACTS) {
+            if (before[name] !== after[name]) {
+                lines.push(`${chainId} ${name}: ${before[name] || 'none'} -> ${after[name] || 'none'}`);
+            }
+        }
+    }
+    for (const name of CONTRACTS) {
+        for (const { chainIds, abi } of next.abis[name] || []) {
+            const version = (current.abis[name] || []).find(version => JSON.stringify(version.abi) === JSON.stringify(abi));
+            if (version === undefined) {
+                lines.push(`${name}: new ABI for chains ${chainIds.join(', ')}`);
+            }
+        }
+    }
+    if (lines.length === 0 && JSON.stringify(current) !== JSON.stringify(next)) {
+        lines.push('network names or ABI chain lists changed');
+    }
+    return lines;
+}
+
+function getAddress (chainId, name) {
+    const address = (deployments.addresses[chainId] || {})[name];
+    if (address === undefined) {
+        throw new Error(`${name} is not deployed on chain ${chainId}`);
+    }
+    return address;
+}
+
+// ABI of the contract deployed on `chainId`, or the most widely deployed one
+function getAbi (name, chainId) {
+    const versions = deployments.abis[name];
+    if (versions === undefined) {
+        throw new Error(`Unknown contract ${name}`);
+    }
+    const version = chainId === undefined ? versions[0] : versions.find(version => version.chainIds.includes(Number(chainId)));
+    if (version === undefined) {
+        throw new Error(`${name} is not deployed on chain ${chainId}`);
+    }
+    return version.abi;
+}
+
+module.exports = {
+    addresses: deployments.addresses,
+    buildDeployments,
+    diffDeployments,
+    getAbi,
+    getAddress,
+};
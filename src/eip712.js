@@ -0,0 +1,30 @@
+const ethSigUtil = require('eth-sig-util');
+
+const EIP712Domain = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+];
+
+const Permit = [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+];
+
+function domainSeparator (name, version, chainId, verifyingContract) {
+    return '0x' + ethSigUtil.TypedDataUtils.hashStruct(
+        'EIP712Domain',
+        { name, version, chainId, verifyingContract },
+        { EIP712Domain },
+    ).toString('hex');
+}
+
+module.exports = {
+    EIP712Domain,
+    Permit,
+    domainSeparator,
+};
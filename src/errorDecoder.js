@@ -0,0 +1,152 @@
+const abiCoder = require('web3-eth-abi');
+const errors = require('./errors.json');
+const { trim0x } = require('./utils');
+
+const builtinErrors = {
+    [abiCoder.encodeFunctionSignature('Error(string)')]: {
+        name: 'Error',
+        signature: 'Error(string)',
+        inputs: [{ name: 'reason', type: 'string' }],
+        explanation: 'Reverted with a reason string',
+    },
+    [abiCoder.encodeFunctionSignature('Panic(uint256)')]: {
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        inputs: [{ name: 'code', type: 'uint256' }],
+        explanation: 'Solidity panic',
+    },
+};
+
+const panicExplanations = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'incorrectly encoded storage byte array',
+    0x31: 'pop from empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to zero-initialized function',
+};
+
+// Errors declared by protocol contracts, helpers and libraries, keyed by selector
+function buildErrorTable (artifacts, explanations) {
+    const table = {};
+    for (const { contractName, abi } of artifacts) {
+        for (const fragment of abi.filter(({ type }) => type === 'error')) {
+            const signature = `${fragment.name}(${fragment.inputs.map(({ type }) => type).join(',')})`;
+            const selector = abiCoder.encodeFunctionSignature(signature);
+            if (table[selector] === undefined) {
+                if (explanations[fragment.name] === undefined) {
+                    throw new Error(`No explanation for ${signature}`);
+                }
+                table[selector] = {
+                    name: fragment.name,
+                    signature,
+                    inputs: fragment.inputs.map(({ name, type }) => ({ name, type })),
+                    contracts: [],
+                    explanation: explanations[fragment.name],
+                };
+            }
+            if (!table[selector].contracts.includes(contractName)) {
+                table[selector].contracts.push(contractName);
+                table[selector].contracts.sort();
+            }
+        }
+    }
+    return Object.keys(table).sort().reduce((obj, selector) => {
+        obj[selector] = table[selector];
+        return obj;
+    }, {});
+}
+
+// Revert data of a failed call, providers put it either into `data` or into `data.data`
+function revertData (e) {
+    if (typeof e.data === 'string') {
+        return e.data;
+    }
+    if (e.data !== undefined && e.data !== null && typeof e.data.data === 'string') {
+        return e.data.data;
+    }
+    return undefined;
+}
+
+// `{ selector, name, signature, args, explanation }` of the revert data, `name` is `undefined` for unknown errors
+function decodeError (data) {
+    const hex = '0x' + trim0x(data || '');
+    const selector = hex.substring(0, 10);
+    const error = errors[selector] || builtinErrors[selector];
+    if (error === undefined) {
+        return { selector, name: undefined, args: [], data: hex };
+    }
+
+    const decoded = abiCoder.decodeParameters(error.inputs.map(({ type }) => type), '0x' + hex.substring(10));
+    const args = error.inputs.map((_, i) => decoded[i]);
+    let explanation = error.explanation;
+    if (error.name === 'Panic') {
+        explanation += `: ${panicExplanations[parseInt(args[0])] || 'unknown code'}`;
+    }
+    return { selector, name: error.name, signature: error.signature, args, explanation };
+}
+
+// Hardhat drops revert data of failed transactions and only names the error in the message,
+// such errors are decoded without `args`
+function decodeFailure (e) {
+    const data = revertData(e);
+    if (data !== undefined) {
+        return decodeError(data);
+    }
+    const match = /reverted with custom error '(\w+)\(/.exec(e.message || '');
+    const selector = match && Object.keys(errors).find(selector => errors[selector].name === match[1]);
+    if (!selector) {
+        return undefined;
+    }
+    const { name, signature, explanation } = errors[selector];
+    return { selector, name, signature, args: undefined, explanation };
+}
+
+// Message of the error or of the revert data when it can be found
+function explainError (e) {
+    const error = decodeFailure(e);
+    if (error === undefined) {
+        return e.message;
+    }
+    if (error.name === undefined) {
+        return `Unknown error ${error.data}`;
+    }
+    return `${error.args === undefined ? error.signature : `${error.name}(${error.args.join(', ')})`}: ${error.explanation}`;
+}
+
+// Chai plugin adding `revertedWithError(name, args)` for promises of calls and transactions:
+// `await expect(swap.fillOrder(...)).to.be.revertedWithError('PredicateIsNotTrue')`
+function errorMatchers (chai) {
+    chai.Assertion.addMethod('revertedWithError', function (name, args) {
+        const derived = Promise.resolve(this._obj).then(
+            () => this.assert(false, `expected call to revert with ${name}, but it succeeded`),
+            (e) => {
+                const error = decodeFailure(e);
+                const actual = error === undefined ? `no revert data (${e.message})` : error.name || `unknown error ${error.data}`;
+                this.assert(
+                    error !== undefined && error.name === name,
+                    `expected call to revert with ${name}, but it reverted with ${actual}`,
+                    `expected call not to revert with ${name}`,
+                );
+                if (args !== undefined) {
+                    this.assert(error.args !== undefined, `expected ${name} arguments, but the revert data is missing`);
+                    new chai.Assertion(error.args.map(String)).to.deep.equal(args.map(String));
+                }
+            },
+        );
+        this.then = derived.then.bind(derived);
+        this.catch = derived.catch.bind(derived);
+        return this;
+    });
+}
+
+module.exports = {
+    buildErrorTable,
+    revertData,
+    decodeError,
+    explainError,
+    errorMatchers,
+};
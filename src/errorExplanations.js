@@ -0,0 +1,43 @@
+// Human explanations of the protocol custom errors, merged into `errors.json` by the `errors` task
+module.exports = {
+    AccessDenied: 'Only the order maker can cancel the order',
+    AlreadyFilled: 'The order is already filled or cancelled',
+    ArbitraryStaticCallFailed: 'The static call of the `arbitraryStaticCall` predicate reverted or returned less than 32 bytes',
+    BadSignature: 'The signature does not match the order maker, neither as ECDSA nor as ERC-1271 signature',
+    BothAmountsAreNonZero: 'Only one of RFQ making and taking amounts can be set, or none of them for the whole order',
+    DifferentOracleDecimals: 'Oracles passed to `doublePrice` report different decimals',
+    ERC1155ProxyBadSelector: 'Proxy transfer method selector does not match `IERC20.transferFrom`',
+    ERC721ProxyBadSelector: 'Proxy transfer method selector does not match `IERC20.transferFrom`',
+    ERC721ProxySafeBadSelector: 'Proxy transfer method selector does not match `IERC20.transferFrom`',
+    GetAmountCallFailed: 'The `getMakingAmount` or `getTakingAmount` call reverted or did not return exactly 32 bytes',
+    IOAccessDenied: 'Only the protocol the proxy was deployed for can call it',
+    IncorrectDataLength: 'Calldata is too short, e.g. an interaction, permit or getter shorter than the 20 bytes of its target address',
+    InvalidDispatcher: 'Predicate helper method selectors do not fit the `or` and `and` dispatcher',
+    InvalidatedOrder: 'The RFQ order id is already filled or cancelled',
+    MakingAmountExceeded: 'Requested RFQ making amount is more than the order making amount',
+    MakingAmountTooLow: 'Making amount for the given taking amount is below the taker threshold',
+    OnlyOneAmountShouldBeZero: 'Exactly one of making and taking amounts must be zero',
+    OrderExpired: 'The RFQ order expiration encoded in `info` has passed',
+    PermitLengthTooLow: 'Permit is shorter than the 20 bytes of its token address',
+    PredicateIsNotTrue: 'The order predicate did not return 1, e.g. the order expired or its nonce changed',
+    PrivateOrder: 'The order can only be filled by its `allowedSender`',
+    RFQBadSignature: 'The signature does not match the RFQ order maker, neither as ECDSA nor as ERC-1271 signature',
+    RFQPrivateOrder: 'The RFQ order can only be filled by its `allowedSender`',
+    RFQSwapWithZeroAmount: 'RFQ fill would transfer zero of one of the assets',
+    RFQZeroTargetIsForbidden: 'RFQ fill target can not be the zero address',
+    ReentrancyDetected: 'The permit reentered the protocol and filled the order being filled',
+    RemainingAmountIsZero: 'The order is fully filled or cancelled',
+    SafePermitBadLength: 'Permit calldata is neither an EIP-2612 (7 words) nor a DAI-like (8 words) `permit` call',
+    SafeTransferFromFailed: 'RFQ asset transfer failed, check balance and allowance of the sender',
+    SimulationResults: 'Always thrown by `simulate`, carries success and result of the simulated delegatecall',
+    SwapWithZeroAmount: 'The fill would transfer zero of one of the assets',
+    TakerIsNotWhitelisted: 'The taker is not allowed by the whitelist registry',
+    TakingAmountExceeded: 'Requested RFQ taking amount is more than the order taking amount',
+    TakingAmountTooHigh: 'Taking amount for the given making amount is above the taker threshold',
+    TransferFromMakerToTakerFailed: 'Maker asset transfer failed, check maker balance and allowance',
+    TransferFromTakerToMakerFailed: 'Taker asset transfer failed, check taker balance and allowance',
+    UnknownOrder: 'The order was never filled or cancelled',
+    WrongAmount: 'Orders with frozen "x" getters can only be filled with the exact order amount',
+    WrongGetter: 'One byte getter must be "x"',
+    ZeroTargetIsForbidden: 'Fill target can not be the zero address',
+};
@@ -0,0 +1,222 @@
+const abiCoder = require('web3-eth-abi');
+
+const Events = {
+    OrderFilled: [
+        { name: 'maker', type: 'address', indexed: true },
+        { name: 'orderHash', type: 'bytes32' },
+        { name: 'remaining', type: 'uint256' },
+    ],
+    OrderCanceled: [
+        { name: 'maker', type: 'address', indexed: true },
+        { name: 'orderHash', type: 'bytes32' },
+        { name: 'remainingRaw', type: 'uint256' },
+    ],
+    OrderFilledRFQ: [
+        { name: 'orderHash', type: 'bytes32' },
+        { name: 'makingAmount', type: 'uint256' },
+    ],
+    NonceIncreased: [
+        { name: 'maker', type: 'address', indexed: true },
+        { name: 'newNonce', type: 'uint256' },
+    ],
+    SeriesNonceIncreased: [
+        { name: 'maker', type: 'address', indexed: true },
+        { name: 'series', type: 'uint8' },
+        { name: 'newNonce', type: 'uint256' },
+    ],
+};
+
+// `SeriesNonceManager` declares its event as `NonceIncreased` too, only the signature differs
+function eventTopic (event) {
+    const name = event === 'SeriesNonceIncreased' ? 'NonceIncreased' : event;
+    return abiCoder.encodeEventSignature(`${name}(${Events[event].map(input => input.type).join(',')})`);
+}
+
+const protocolEvents = ['OrderFilled', 'OrderCanceled', 'OrderFilledRFQ', 'NonceIncreased'];
+const topics = Object.keys(Events).reduce((obj, event) => {
+    obj[eventTopic(event)] = event;
+    return obj;
+}, {});
+
+// Number of checkpoints to look back through when the chain reorganized
+const maxCheckpoints = 128;
+
+function emptyState (fromBlock) {
+    return {
+        fromBlock,
+        lastBlock: fromBlock - 1,
+        checkpoints: [],
+        orders: {},
+        nonces: {},
+        seriesNonces: {},
+    };
+}
+
+// Rebuilds protocol state from logs of `protocol` and, optionally, `seriesNonceManager`.
+// The whole state is a plain JSON object available as `indexer.state`: pass it back as `state`
+// to resume. Every stored event keeps its block number, so a reorg rolls the state back
+// to the last checkpoint still on the canonical chain and rescans from there
+class EventIndexer {
+    constructor (web3, { protocol, seriesNonceManager, fromBlock = 0, confirmations = 0, state }) {
+        this.web3 = web3;
+        this.addresses = { protocol: protocol.toLowerCase() };
+        if (seriesNonceManager !== undefined) {
+            this.addresses.seriesNonceManager = seriesNonceManager.toLowerCase();
+        }
+        this.confirmations = confirmations;
+        this.state = state || emptyState(fromBlock);
+    }
+
+    // Scans new blocks up to `toBlock` (minus `confirmations` when it is `latest`) in `batchSize` block ranges.
+    // Returns the scanned range and the number of the block state was rolled back to, if any
+    async sync ({ toBlock = 'latest', batchSize = 1000 } = {}) {
+        const rolledBackTo = await this._handleReorg();
+        const head = toBlock === 'latest'
+            ? await this.web3.eth.getBlockNumber() - this.confirmations
+            : toBlock;
+
+        const fromBlock = this.state.lastBlock + 1;
+        for (let start = fromBlock; start <= head; start += batchSize) {
+            const end = Math.min(start + batchSize - 1, head);
+            const { hash } = await this.web3.eth.getBlock(end);
+            const logs = await this.web3.eth.getPastLogs({
+                fromBlock: start,
+                toBlock: end,
+                address: Object.values(this.addresses),
+                topics: [Object.keys(topics)],
+            });
+            for (const log of logs) {
+                this._apply(log);
+            }
+            this.state.lastBlock = end;
+            this._checkpoint(end, hash);
+        }
+
+        return { fromBlock, toBlock: Math.max(this.state.lastBlock, fromBlock - 1), rolledBackTo };
+    }
+
+    // Fill history of the order, `undefined` when no events were seen for it
+    getOrder (orderHash) {
+        return this.state.orders[orderHash];
+    }
+
+    // Latest `NonceManager` nonce of the maker, '0' when it was never increased
+    getNonce (maker) {
+        const history = this.state.nonces[maker.toLowerCase()];
+        return history === undefined ? '0' : history[history.length - 1].nonce;
+    }
+
+    // Latest `SeriesNonceManager` nonce of the maker in `series`, '0' when it was never increased
+    getSeriesNonce (series, maker) {
+        const history = (this.state.seriesNonces[series] || {})[maker.toLowerCase()];
+        return history === undefined ? '0' : history[history.length - 1].nonce;
+    }
+
+    _apply (log) {
+        const event = topics[log.topics[0]];
+        const address = log.address.toLowerCase();
+        const isProtocol = address === this.addresses.protocol && protocolEvents.includes(event);
+        const isSeries = address === this.addresses.seriesNonceManager && event === 'SeriesNonceIncreased';
+        if (!isProtocol && !isSeries) {
+            return;
+        }
+
+        const args = abiCoder.decodeLog(Events[event], log.data, log.topics.slice(1));
+        const meta = { blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.logIndex };
+        this._checkpoint(log.blockNumber, log.blockHash);
+
+        switch (event) {
+        case 'OrderFilled':
+            this._order(args.orderHash, 'Order', args.maker).fills.push({ ...meta, remaining: args.remaining });
+            break;
+        case 'OrderCanceled':
+            this._order(args.orderHash, 'Order', args.maker).cancellation = { ...meta, remainingRaw: args.remainingRaw };
+            break;
+        case 'OrderFilledRFQ':
+            this._order(args.orderHash, 'OrderRFQ').fills.push({ ...meta, makingAmount: args.makingAmount });
+            break;
+        case 'NonceIncreased':
+            this._history(this.state.nonces, args.maker).push({ ...meta, nonce: args.newNonce });
+            break;
+        case 'SeriesNonceIncreased':
+            this.state.seriesNonces[args.series] = this.state.seriesNonces[args.series] || {};
+            this._history(this.state.seriesNonces[args.series], args.maker).push({ ...meta, nonce: args.newNonce });
+            break;
+        }
+    }
+
+    _order (orderHash, type, maker) {
+        if (this.state.orders[orderHash] === undefined) {
+            this.state.orders[orderHash] = { type, fills: [], cancellation: null };
+        }
+        if (maker !== undefined) {
+            this.state.orders[orderHash].maker = maker;
+        }
+        return this.state.orders[orderHash];
+    }
+
+    _history (histories, maker) {
+        const key = maker.toLowerCase();
+        histories[key] = histories[key] || [];
+        return histories[key];
+    }
+
+    _checkpoint (number, hash) {
+        const checkpoints = this.state.checkpoints;
+        const last = checkpoints[checkpoints.length - 1];
+        if (last !== undefined && last.number === number) {
+            return;
+        }
+        checkpoints.push({ number, hash });
+        if (checkpoints.length > maxCheckpoints) {
+            checkpoints.shift();
+        }
+    }
+
+    async _handleReorg () {
+        const checkpoints = this.state.checkpoints;
+        let i = checkpoints.length - 1;
+        for (; i >= 0; i--) {
+            const block = await this.web3.eth.getBlock(checkpoints[i].number);
+            if (block !== null && block.hash === checkpoints[i].hash) {
+                break;
+            }
+        }
+        if (i === checkpoints.length - 1) {
+            return undefined;
+        }
+
+        const ancestor = i >= 0 ? checkpoints[i].number : this.state.fromBlock - 1;
+        this._rollback(ancestor);
+        return ancestor;
+    }
+
+    _rollback (blockNumber) {
+        const keep = item => item.blockNumber <= blockNumber;
+        const state = this.state;
+        state.lastBlock = blockNumber;
+        state.checkpoints = state.checkpoints.filter(checkpoint => checkpoint.number <= blockNumber);
+
+        for (const [orderHash, order] of Object.entries(state.orders)) {
+            order.fills = order.fills.filter(keep);
+            if (order.cancellation !== null && !keep(order.cancellation)) {
+                order.cancellation = null;
+            }
+            if (order.fills.length === 0 && order.cancellation === null) {
+                delete state.orders[orderHash];
+            }
+        }
+        for (const histories of [state.nonces, ...Object.values(state.seriesNonces)]) {
+            for (const [maker, history] of Object.entries(histories)) {
+                histories[maker] = history.filter(keep);
+                if (histories[maker].length === 0) {
+                    delete histories[maker];
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    EventIndexer,
+};
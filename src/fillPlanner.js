@@ -0,0 +1,152 @@
+const abiCoder = require('web3-eth-abi');
+const { BN } = require('ethereumjs-util');
+const { quoteFill } = require('./amountCalculator');
+const { ABIOrder } = require('./orderUtils');
+const { toBN, trim0x } = require('./utils');
+
+const BPS = toBN(10000);
+
+const fillOrderToSelector = abiCoder.encodeFunctionSignature(
+    'fillOrderTo((uint256,address,address,address,address,address,uint256,uint256,uint256,bytes),bytes,bytes,uint256,uint256,uint256,address)',
+);
+
+function encodeFillOrderTo (order, signature, interaction, makingAmount, takingAmount, thresholdAmount, target) {
+    return fillOrderToSelector + trim0x(abiCoder.encodeParameters(
+        [ABIOrder, 'bytes', 'bytes', 'uint256', 'uint256', 'uint256', 'address'],
+        [order, signature, interaction, makingAmount, takingAmount, thresholdAmount, target],
+    ));
+}
+
+const fillOrdersToSelector = abiCoder.encodeFunctionSignature('fillOrdersTo(address,bytes[],uint256,uint256)');
+
+// Calldata of `BatchFiller.fillOrdersTo` running `fills` (`fillOrderTo` calldata) in one transaction
+function encodeFillOrdersTo (takerAsset, fills, minMakingAmount, maxTakingAmount) {
+    return fillOrdersToSelector + trim0x(abiCoder.encodeParameters(
+        ['address', 'bytes[]', 'uint256', 'uint256'],
+        [takerAsset, fills, minMakingAmount, maxTakingAmount],
+    ));
+}
+
+function checkPair (entries) {
+    const { makerAsset, takerAsset } = entries[0].order;
+    entries.forEach(({ order }, i) => {
+        if (order.makerAsset.toLowerCase() !== makerAsset.toLowerCase() || order.takerAsset.toLowerCase() !== takerAsset.toLowerCase()) {
+            throw new Error(`Order ${i} trades ${order.makerAsset}/${order.takerAsset} instead of ${makerAsset}/${takerAsset}`);
+        }
+    });
+}
+
+// Plans sequential `fillOrderTo` calls sweeping `entries` (`{ order, signature, remaining }`, `remaining` as
+// `quoteFill` takes it) cheapest first until `amount` of the `side` ('making' or 'taking') asset is filled.
+// Each fill gets its own threshold `slippageBps` worse than its quote and the plan `thresholdAmount` is their sum.
+// `transactions` are independent `fillOrderTo` calls checking their own thresholds only, so when one reverts or
+// is front-run the others still execute. `batchTransaction` runs all fills through `batchFiller` (`BatchFiller`),
+// which reverts them at once unless they make at least `makingAmount` for at most `thresholdAmount` by making amount,
+// or at least `thresholdAmount` for at most `takingAmount` by taking amount. It pulls `takerAmount` of the taker
+// asset which the sender has to approve, and the orders have to allow `batchFiller` as a sender.
+// Orders which can not be filled with the amount left (e.g. frozen getters) are skipped with the error `quoteFill` predicts
+async function planBatchFill (entries, amount, {
+    side = 'making',
+    slippageBps = 0,
+    protocol,
+    batchFiller,
+    target,
+    interaction = '0x',
+    web3,
+    blockNumber,
+} = {}) {
+    if (side !== 'making' && side !== 'taking') {
+        throw new Error(`Unknown side: ${side}`);
+    }
+    if (entries.length === 0) {
+        throw new Error('No orders to fill');
+    }
+    checkPair(entries);
+    const options = { web3, blockNumber };
+    const skipped = [];
+
+    // Effective price of the whole remaining part of every order, getters included
+    const quoted = [];
+    for (const [index, entry] of entries.entries()) {
+        const remaining = entry.remaining === undefined ? entry.order.makingAmount : entry.remaining;
+        const quote = await quoteFill(entry.order, entry.remaining, { ...options, makingAmount: remaining });
+        if (quote.error !== undefined) {
+            skipped.push({ index, error: quote.error });
+        } else {
+            quoted.push({ index, entry, making: toBN(quote.makingAmount), taking: toBN(quote.takingAmount) });
+        }
+    }
+    quoted.sort((a, b) => a.taking.mul(b.making).cmp(b.taking.mul(a.making)));
+
+    const fills = [];
+    let left = toBN(amount);
+    for (const { index, entry, making } of quoted) {
+        if (left.isZero()) {
+            break;
+        }
+        const request = side === 'making'
+            ? { makingAmount: BN.min(left, making).toString() }
+            : { takingAmount: left.toString() };
+        const quote = await quoteFill(entry.order, entry.remaining, { ...options, ...request });
+        if (quote.error !== undefined) {
+            skipped.push({ index, error: quote.error });
+            continue;
+        }
+
+        const makingAmount = toBN(quote.makingAmount);
+        const takingAmount = toBN(quote.takingAmount);
+        const thresholdAmount = side === 'making'
+            ? takingAmount.mul(BPS.addn(slippageBps)).add(BPS).subn(1).div(BPS)
+            : makingAmount.mul(BPS.subn(slippageBps)).div(BPS);
+        left = left.sub(side === 'making' ? makingAmount : takingAmount);
+        fills.push({
+            index,
+            order: entry.order,
+            signature: entry.signature,
+            makingAmount: side === 'making' ? makingAmount.toString() : '0',
+            takingAmount: side === 'making' ? '0' : takingAmount.toString(),
+            thresholdAmount: thresholdAmount.toString(),
+            expectedMakingAmount: makingAmount.toString(),
+            expectedTakingAmount: takingAmount.toString(),
+        });
+    }
+
+    const sum = (key) => fills.reduce((acc, fill) => acc.add(toBN(fill[key])), toBN(0)).toString();
+    const plan = {
+        side,
+        fills,
+        skipped,
+        makingAmount: sum('expectedMakingAmount'),
+        takingAmount: sum('expectedTakingAmount'),
+        thresholdAmount: sum('thresholdAmount'),
+        unfilledAmount: left.toString(),
+    };
+    if (protocol !== undefined || batchFiller !== undefined) {
+        if (target === undefined) {
+            throw new Error('target is required to build transactions');
+        }
+        const calls = fills.map(fill => encodeFillOrderTo(
+            fill.order, fill.signature, interaction, fill.makingAmount, fill.takingAmount, fill.thresholdAmount, target,
+        ));
+        if (protocol !== undefined) {
+            plan.transactions = calls.map(data => ({ to: protocol, data }));
+        }
+        if (batchFiller !== undefined) {
+            const [minMakingAmount, takerAmount] = side === 'making'
+                ? [plan.makingAmount, plan.thresholdAmount]
+                : [plan.thresholdAmount, plan.takingAmount];
+            plan.batchTransaction = {
+                to: batchFiller,
+                data: encodeFillOrdersTo(entries[0].order.takerAsset, calls, minMakingAmount, takerAmount),
+                takerAmount,
+            };
+        }
+    }
+    return plan;
+}
+
+module.exports = {
+    encodeFillOrderTo,
+    encodeFillOrdersTo,
+    planBatchFill,
+};
@@ -0,0 +1,138 @@
+const abiCoder = require('web3-eth-abi');
+const { quoteFill } = require('./amountCalculator');
+const { decodeError, revertData } = require('./errorDecoder');
+const { encodeFillOrderTo } = require('./fillPlanner');
+const { ABIOrderRFQ, decodeOrder } = require('./orderUtils');
+const { ZERO_ADDRESS, toBN, trim0x } = require('./utils');
+
+const fillOrderRFQToSelector = abiCoder.encodeFunctionSignature(
+    'fillOrderRFQTo((uint256,address,address,address,address,uint256,uint256),bytes,uint256,uint256,address)',
+);
+
+function transferFromCall (from, to, amount, assetData = '0x') {
+    return abiCoder.encodeFunctionCall({
+        name: 'transferFrom',
+        type: 'function',
+        inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    }, [from, to, amount.toString()]) + trim0x(assetData);
+}
+
+// Runs both transfers of the fill from the protocol context with `CallsSimulator.simulateCalls`
+// through `simulate`, so that balance and allowance problems of both sides show up at once
+async function simulateTransfers (web3, protocol, callsSimulator, transfers, blockNumber) {
+    const data = abiCoder.encodeFunctionCall({
+        name: 'simulate',
+        type: 'function',
+        inputs: [{ name: 'target', type: 'address' }, { name: 'data', type: 'bytes' }],
+    }, [callsSimulator, abiCoder.encodeFunctionCall({
+        name: 'simulateCalls',
+        type: 'function',
+        inputs: [{ name: 'targets', type: 'address[]' }, { name: 'data', type: 'bytes[]' }],
+    }, [transfers.map(({ asset }) => asset), transfers.map(({ data }) => data)])]);
+
+    try {
+        await web3.eth.call({ to: protocol, data }, blockNumber);
+    } catch (e) {
+        const simulation = decodeError(revertData(e));
+        if (simulation.name === 'SimulationResults') {
+            const reason = decodeError(simulation.args[1]);
+            if (reason.name === 'Error' && reason.args[0].startsWith('CALL_RESULTS_')) {
+                const results = reason.args[0].substring('CALL_RESULTS_'.length);
+                return transfers.reduce((obj, { side }, i) => {
+                    obj[side] = results[i] === '1';
+                    return obj;
+                }, {});
+            }
+        }
+        throw e;
+    }
+    throw new Error('simulate did not revert');
+}
+
+function addDelta (deltas, account, asset, amount) {
+    const key = account.toLowerCase();
+    deltas[key] = deltas[key] || {};
+    deltas[key][asset] = toBN(deltas[key][asset] || 0).add(amount).toString();
+}
+
+// Dry-runs `fillOrderTo` (or `fillOrderRFQTo` for RFQ orders) from `taker` with `eth_call` and reports
+// `{ success, error, makingAmount, takingAmount, orderHash, balanceDeltas, transfers }`.
+// `error` is the `decodeError` result, `balanceDeltas` are keyed by lowercase account and asset.
+// `thresholdAmount` defaults to the amount `quoteFill` predicts for the `remaining` maker amount.
+// `transfers` tells whether the maker and the taker transfers would pass on their own and is only filled
+// when `callsSimulator` is given. `CallsSimulator` counts calls returning nothing, e.g. to NFT proxies, as failed
+async function simulateFill (web3, {
+    protocol,
+    order,
+    signature,
+    interaction = '0x',
+    makingAmount = '0',
+    takingAmount = '0',
+    thresholdAmount,
+    remaining,
+    taker,
+    target = taker,
+    callsSimulator,
+    blockNumber = 'latest',
+}) {
+    const isRFQ = order.info !== undefined;
+    let data;
+    if (isRFQ) {
+        data = fillOrderRFQToSelector + trim0x(abiCoder.encodeParameters(
+            [ABIOrderRFQ, 'bytes', 'uint256', 'uint256', 'address'],
+            [order, signature, makingAmount.toString(), takingAmount.toString(), target],
+        ));
+    } else {
+        if (thresholdAmount === undefined) {
+            const quote = await quoteFill(order, remaining, { makingAmount, takingAmount, web3, blockNumber });
+            thresholdAmount = toBN(takingAmount).isZero() ? quote.takingAmount : quote.makingAmount;
+        }
+        data = encodeFillOrderTo(
+            order, signature, interaction, makingAmount.toString(), takingAmount.toString(), thresholdAmount.toString(), target,
+        );
+    }
+
+    const report = { success: false };
+    try {
+        const result = abiCoder.decodeParameters(['uint256', 'uint256', 'bytes32'], await web3.eth.call({ from: taker, to: protocol, data }, blockNumber));
+        report.success = true;
+        report.makingAmount = result[0].toString();
+        report.takingAmount = result[1].toString();
+        report.orderHash = result[2];
+    } catch (e) {
+        const errorData = revertData(e);
+        if (errorData === undefined) {
+            throw e;
+        }
+        report.error = decodeError(errorData);
+    }
+
+    const receiver = isRFQ || order.receiver === ZERO_ADDRESS ? order.maker : order.receiver;
+    if (report.success) {
+        const deltas = {};
+        addDelta(deltas, order.maker, order.makerAsset, toBN(report.makingAmount).neg());
+        addDelta(deltas, target, order.makerAsset, toBN(report.makingAmount));
+        addDelta(deltas, taker, order.takerAsset, toBN(report.takingAmount).neg());
+        addDelta(deltas, receiver, order.takerAsset, toBN(report.takingAmount));
+        report.balanceDeltas = deltas;
+    }
+
+    if (callsSimulator !== undefined) {
+        let quote = report;
+        if (!report.success) {
+            quote = isRFQ
+                ? { makingAmount: order.makingAmount, takingAmount: order.takingAmount }
+                : await quoteFill(order, remaining, { makingAmount, takingAmount, web3, blockNumber });
+        }
+        const assetData = isRFQ ? {} : decodeOrder(order);
+        report.transfers = await simulateTransfers(web3, protocol, callsSimulator, [
+            { side: 'maker', asset: order.makerAsset, data: transferFromCall(order.maker, target, quote.makingAmount, assetData.makerAssetData) },
+            { side: 'taker', asset: order.takerAsset, data: transferFromCall(taker, receiver, quote.takingAmount, assetData.takerAssetData) },
+        ], blockNumber);
+    }
+    return report;
+}
+
+module.exports = {
+    simulateFill,
+};
@@ -0,0 +1,27 @@
+module.exports = {
+    ...require('./amountCalculator'),
+    ...require('./cancellationPlanner'),
+    ...require('./chainlinkOrders'),
+    ...require('./deployments'),
+    ...require('./eip712'),
+    ...require('./errorDecoder'),
+    ...require('./eventIndexer'),
+    ...require('./fillPlanner'),
+    ...require('./fillSimulator'),
+    ...require('./interactionChain'),
+    ...require('./nftOrders'),
+    ...require('./orderBook'),
+    ...require('./orderFile'),
+    ...require('./orderHealth'),
+    ...require('./orderUtils'),
+    ...require('./permits'),
+    ...require('./predicateEvaluator'),
+    ...require('./recursiveMatcher'),
+    ...require('./relayServer'),
+    ...require('./rfqCompact'),
+    ...require('./rfqInvalidator'),
+    ...require('./seriesNonces'),
+    ...require('./takerWhitelist'),
+    ...require('./utils'),
+    predicates: require('./predicates'),
+};
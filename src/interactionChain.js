@@ -0,0 +1,95 @@
+const { toChecksumAddress } = require('ethereumjs-util');
+const { trim0x } = require('./utils');
+
+// Notification receivers of this repo by contract name. `forwards` receivers call the next hop with the rest
+// of their data after their own arguments, the others end the chain
+const InteractionReceiver = {
+    WhitelistChecker: {
+        stage: 'preInteraction',
+        forwards: true,
+        encode: () => '',
+        decode: () => ({ args: {}, length: 0 }),
+    },
+    WethUnwrapper: {
+        stage: 'postInteraction',
+        forwards: false,
+        // Unwrapped taker asset is sent to the address in the first 20 bytes
+        encode: ({ maker }) => trim0x(maker),
+        decode: (data) => ({ args: { maker: toChecksumAddress('0x' + data.substring(0, 40)) }, length: data.length }),
+    },
+};
+
+function whitelistCheckerHop (target) {
+    return { receiver: 'WhitelistChecker', target };
+}
+
+function wethUnwrapperHop (target, maker) {
+    return { receiver: 'WethUnwrapper', target, maker };
+}
+
+// Builds `preInteraction` or `postInteraction` (the `stage`) of an order calling `hops` one after another.
+// Hops are built with `whitelistCheckerHop`, `wethUnwrapperHop` or are `{ target, data }` of any other receiver,
+// only the last hop may be a receiver which does not forward
+function buildInteractionChain (stage, hops) {
+    if (stage !== 'preInteraction' && stage !== 'postInteraction') {
+        throw new Error(`Unknown stage: ${stage}`);
+    }
+    let chain = '';
+    hops.slice().reverse().forEach((hop, i) => {
+        const index = hops.length - 1 - i;
+        const receiver = InteractionReceiver[hop.receiver];
+        if (hop.receiver !== undefined && receiver === undefined) {
+            throw new Error(`Hop ${index}: unknown receiver ${hop.receiver}`);
+        }
+        if (receiver !== undefined && receiver.stage !== stage) {
+            throw new Error(`Hop ${index}: ${hop.receiver} can only be called as ${receiver.stage}`);
+        }
+        if (chain !== '' && (receiver === undefined || !receiver.forwards)) {
+            throw new Error(`Hop ${index}: ${hop.receiver || hop.target} does not forward to the next receiver`);
+        }
+        const data = receiver === undefined ? trim0x(hop.data || '0x') : receiver.encode(hop);
+        chain = trim0x(hop.target) + data + chain;
+    });
+    return '0x' + chain.toLowerCase();
+}
+
+// Splits an interaction into its hops: `[{ receiver, target, args, data }]` where `receivers` maps addresses
+// of known receivers to their contract names. `data` is what the hop gets as `interactiveData` and `args` its
+// decoded own arguments, hops of unknown receivers only have `target` and `data` and end the chain
+function decodeInteractionChain (interaction, receivers = {}) {
+    const names = Object.keys(receivers).reduce((obj, address) => {
+        obj[address.toLowerCase()] = receivers[address];
+        return obj;
+    }, {});
+
+    const hops = [];
+    let rest = trim0x(interaction);
+    while (rest.length > 0) {
+        if (rest.length < 40) {
+            throw new Error(`Hop ${hops.length}: ${rest.length / 2} bytes are too short for a target address`);
+        }
+        const target = toChecksumAddress('0x' + rest.substring(0, 40));
+        const data = rest.substring(40);
+        const receiver = InteractionReceiver[names[target.toLowerCase()]];
+        if (receiver === undefined) {
+            hops.push({ target, data: '0x' + data });
+            break;
+        }
+
+        const { args, length } = receiver.decode(data);
+        hops.push({ receiver: names[target.toLowerCase()], target, args, data: '0x' + data });
+        if (!receiver.forwards) {
+            break;
+        }
+        rest = data.substring(length);
+    }
+    return hops;
+}
+
+module.exports = {
+    InteractionReceiver,
+    whitelistCheckerHop,
+    wethUnwrapperHop,
+    buildInteractionChain,
+    decodeInteractionChain,
+};
@@ -0,0 +1,141 @@
+const abiCoder = require('web3-eth-abi');
+const { buildOrder } = require('./orderUtils');
+const { ZERO_ADDRESS, call, toBN, trim0x } = require('./utils');
+
+// `OrderMixin._callTransferFrom` calls the proxy with `from, to, amount` followed by the asset data,
+// so asset data is the proxy call arguments without the first three words
+function proxyArguments (types, values) {
+    return '0x' + trim0x(abiCoder.encodeParameters(
+        ['address', 'address', 'uint256', ...types],
+        [ZERO_ADDRESS, ZERO_ADDRESS, '0', ...values],
+    )).substring(192);
+}
+
+function decodeProxyArguments (types, assetData) {
+    const decoded = abiCoder.decodeParameters(['address', 'address', 'uint256', ...types], '0x' + '0'.repeat(192) + trim0x(assetData));
+    return types.map((_, i) => decoded[i + 3]);
+}
+
+// Asset data of `ERC721Proxy` and `ERC721ProxySafe`: `func_60iHVgK(from, to, amount, tokenId, token)`
+function erc721AssetData (token, tokenId) {
+    return proxyArguments(['uint256', 'address'], [tokenId.toString(), token]);
+}
+
+// Asset data of `ERC1155Proxy`: `func_301JL5R(from, to, amount, token, tokenId, data)`
+function erc1155AssetData (token, tokenId, data = '0x') {
+    return proxyArguments(['address', 'uint256', 'bytes'], [token, tokenId.toString(), data]);
+}
+
+function decodeErc721AssetData (assetData) {
+    const [tokenId, token] = decodeProxyArguments(['uint256', 'address'], assetData);
+    return { token, tokenId };
+}
+
+function decodeErc1155AssetData (assetData) {
+    const [token, tokenId, data] = decodeProxyArguments(['address', 'uint256', 'bytes'], assetData);
+    return { token, tokenId, data };
+}
+
+// ERC-721 proxies ignore `amount`, so the getters are frozen to "x" allowing only a fill of
+// exactly `makingAmount` for exactly `takingAmount` (or the other way around)
+function erc721SellOrder (orderParams, { proxy, token, tokenId }, interactions = {}) {
+    return buildOrder({ ...orderParams, makerAsset: proxy, makingAmount: '1' }, {
+        ...interactions,
+        makerAssetData: erc721AssetData(token, tokenId),
+        getMakingAmount: '',
+        getTakingAmount: '',
+    });
+}
+
+function erc721BuyOrder (orderParams, { proxy, token, tokenId }, interactions = {}) {
+    return buildOrder({ ...orderParams, takerAsset: proxy, takingAmount: '1' }, {
+        ...interactions,
+        takerAssetData: erc721AssetData(token, tokenId),
+        getMakingAmount: '',
+        getTakingAmount: '',
+    });
+}
+
+// ERC-1155 orders are filled at once unless `partialFill` is set, then amounts are linearly proportional
+function erc1155SellOrder (orderParams, { proxy, token, tokenId, amount, data = '0x', partialFill = false }, interactions = {}) {
+    const getter = partialFill ? '0x' : '';
+    return buildOrder({ ...orderParams, makerAsset: proxy, makingAmount: amount.toString() }, {
+        ...interactions,
+        makerAssetData: erc1155AssetData(token, tokenId, data),
+        getMakingAmount: getter,
+        getTakingAmount: getter,
+    });
+}
+
+function erc1155BuyOrder (orderParams, { proxy, token, tokenId, amount, data = '0x', partialFill = false }, interactions = {}) {
+    const getter = partialFill ? '0x' : '';
+    return buildOrder({ ...orderParams, takerAsset: proxy, takingAmount: amount.toString() }, {
+        ...interactions,
+        takerAssetData: erc1155AssetData(token, tokenId, data),
+        getMakingAmount: getter,
+        getTakingAmount: getter,
+    });
+}
+
+// What `proxy` can move of `tokenId` held by `owner`: `{ exists, holder, balance, approved }`, `holder` is
+// only set for ERC-721 tokens. `standard` is 'ERC721' or 'ERC1155'
+async function readNftFunds (web3, { standard, token, tokenId, owner, proxy }, blockNumber = 'latest') {
+    const id = tokenId.toString();
+    const approvedForAll = async () => abiCoder.decodeParameter(
+        'bool', await call(web3, token, 'isApprovedForAll', ['address', 'address'], [owner, proxy], blockNumber),
+    );
+    if (standard === 'ERC721') {
+        let holder;
+        try {
+            holder = abiCoder.decodeParameter('address', await call(web3, token, 'ownerOf', ['uint256'], [id], blockNumber));
+        } catch (e) {
+            return { exists: false, balance: toBN(0), approved: false };
+        }
+        const approved = abiCoder.decodeParameter('address', await call(web3, token, 'getApproved', ['uint256'], [id], blockNumber));
+        return {
+            exists: true,
+            holder,
+            balance: toBN(holder.toLowerCase() === owner.toLowerCase() ? 1 : 0),
+            approved: approved.toLowerCase() === proxy.toLowerCase() || await approvedForAll(),
+        };
+    }
+    if (standard === 'ERC1155') {
+        const balance = toBN(await call(web3, token, 'balanceOf', ['address', 'uint256'], [owner, id], blockNumber));
+        return { exists: true, balance, approved: await approvedForAll() };
+    }
+    throw new Error(`Unknown standard: ${standard}`);
+}
+
+// Problems preventing `proxy` from transferring `amount` of `tokenId` from `owner`, empty when there are none.
+// `standard` is 'ERC721' or 'ERC1155'
+async function checkNftApproval (web3, { standard, token, tokenId, amount = '1', owner, proxy }, blockNumber = 'latest') {
+    const id = tokenId.toString();
+    const funds = await readNftFunds(web3, { standard, token, tokenId, owner, proxy }, blockNumber);
+    if (!funds.exists) {
+        return [`token ${id} does not exist`];
+    }
+    const errors = [];
+    if (standard === 'ERC721' && funds.balance.isZero()) {
+        errors.push(`token ${id} is owned by ${funds.holder}`);
+    }
+    if (standard === 'ERC1155' && funds.balance.lt(toBN(amount))) {
+        errors.push(`balance of token ${id} is ${funds.balance} while ${amount} is required`);
+    }
+    if (!funds.approved) {
+        errors.push(`proxy ${proxy} is not approved`);
+    }
+    return errors;
+}
+
+module.exports = {
+    erc721AssetData,
+    erc1155AssetData,
+    decodeErc721AssetData,
+    decodeErc1155AssetData,
+    erc721SellOrder,
+    erc721BuyOrder,
+    erc1155SellOrder,
+    erc1155BuyOrder,
+    readNftFunds,
+    checkNftApproval,
+};
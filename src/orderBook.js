@@ -0,0 +1,167 @@
+const abiCoder = require('web3-eth-abi');
+const { orderFileFlavour, validateOrderFile } = require('./orderFile');
+const { hashOrder, hashOrderRFQ } = require('./orderUtils');
+const { evaluatePredicate } = require('./predicateEvaluator');
+const { decodeInfo, invalidatorForOrderRFQ, invalidatorPosition, isInvalidated } = require('./rfqInvalidator');
+const { call, toBN } = require('./utils');
+
+const indexedFields = ['maker', 'makerAsset', 'takerAsset'];
+
+// `OrderMixin.remainingsRaw` of `orderHashes`: 0 for unknown orders, 1 for filled or cancelled ones, remaining + 1 otherwise
+async function remainingsRaw (web3, protocol, orderHashes, blockNumber) {
+    if (orderHashes.length === 0) {
+        return [];
+    }
+    const result = await call(web3, protocol, 'remainingsRaw', ['bytes32[]'], [orderHashes], blockNumber);
+    return abiCoder.decodeParameter('uint256[]', result).map(raw => toBN(raw));
+}
+
+// In-memory book of signed order files for a single protocol deployment of the given `flavour`.
+// Filled, cancelled, invalidated and expired orders are dropped by `prune`, orders whose predicate
+// currently fails are kept with `predicatePassed: false` even when it can never pass again
+class OrderBook {
+    constructor (web3, { chainId, verifyingContract, flavour = 'standard' }) {
+        this.web3 = web3;
+        this.chainId = Number(chainId);
+        this.verifyingContract = verifyingContract;
+        this.flavour = flavour;
+        this.orders = new Map();
+        this.indexes = indexedFields.reduce((obj, field) => {
+            obj[field] = new Map();
+            return obj;
+        }, {});
+    }
+
+    // Returns `{ orderHash }` of the accepted order or `{ errors }` explaining why it was rejected
+    async add (file) {
+        const errors = validateOrderFile(file);
+        if (errors.length === 0) {
+            if (file.signature === undefined) {
+                errors.push('signature: order is not signed');
+            }
+            if (file.chainId !== this.chainId) {
+                errors.push(`chainId: expected ${this.chainId}`);
+            }
+            if (file.verifyingContract.toLowerCase() !== this.verifyingContract.toLowerCase()) {
+                errors.push(`verifyingContract: expected ${this.verifyingContract}`);
+            }
+            if (orderFileFlavour(file) !== this.flavour) {
+                errors.push(`flavour: expected ${this.flavour}`);
+            }
+        }
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const orderHash = file.type === 'Order'
+            ? hashOrder(file.order, file.chainId, file.verifyingContract, this.flavour)
+            : hashOrderRFQ(file.order, file.chainId, file.verifyingContract);
+        const entry = { ...file, orderHash };
+        const [removed] = await this._refresh([entry]);
+        if (removed !== undefined) {
+            return { errors: [`order: ${removed.reason}`] };
+        }
+
+        this.orders.set(orderHash, entry);
+        for (const field of indexedFields) {
+            const key = file.order[field].toLowerCase();
+            if (!this.indexes[field].has(key)) {
+                this.indexes[field].set(key, new Set());
+            }
+            this.indexes[field].get(key).add(orderHash);
+        }
+        return { orderHash };
+    }
+
+    get (orderHash) {
+        return this.orders.get(orderHash);
+    }
+
+    // Orders matching every given address filter, only ones with passing predicates unless `all` is set
+    find ({ maker, makerAsset, takerAsset, type, all = false } = {}) {
+        const filters = { maker, makerAsset, takerAsset };
+        let hashes;
+        for (const field of indexedFields) {
+            if (filters[field] === undefined) {
+                continue;
+            }
+            const matches = this.indexes[field].get(filters[field].toLowerCase()) || new Set();
+            hashes = hashes === undefined ? [...matches] : hashes.filter(hash => matches.has(hash));
+        }
+        return (hashes === undefined ? [...this.orders.keys()] : hashes)
+            .map(hash => this.orders.get(hash))
+            .filter(entry => type === undefined || entry.type === type)
+            .filter(entry => all || entry.predicatePassed);
+    }
+
+    remove (orderHash) {
+        const entry = this.orders.get(orderHash);
+        if (entry === undefined) {
+            return false;
+        }
+        this.orders.delete(orderHash);
+        for (const field of indexedFields) {
+            const key = entry.order[field].toLowerCase();
+            const hashes = this.indexes[field].get(key);
+            hashes.delete(orderHash);
+            if (hashes.size === 0) {
+                this.indexes[field].delete(key);
+            }
+        }
+        return true;
+    }
+
+    // Re-reads on-chain state of every order and drops filled, cancelled, invalidated and expired ones.
+    // Returns `[{ orderHash, reason }]` of removed orders
+    async prune ({ blockNumber = 'latest' } = {}) {
+        const removed = await this._refresh([...this.orders.values()], blockNumber);
+        for (const { orderHash } of removed) {
+            this.remove(orderHash);
+        }
+        return removed;
+    }
+
+    // Updates `remaining` and `predicatePassed` of the entries in place, returns the ones to be removed
+    async _refresh (entries, blockNumber = 'latest') {
+        const removed = [];
+        const orders = entries.filter(entry => entry.type === 'Order');
+        const raws = await remainingsRaw(this.web3, this.verifyingContract, orders.map(entry => entry.orderHash), blockNumber);
+        orders.forEach((entry, i) => {
+            if (raws[i].eqn(1)) {
+                removed.push({ orderHash: entry.orderHash, reason: 'filled or cancelled' });
+            }
+            entry.remaining = (raws[i].isZero() ? toBN(entry.order.makingAmount) : raws[i].subn(1)).toString();
+        });
+
+        const { timestamp } = await this.web3.eth.getBlock(blockNumber);
+        const invalidators = {};
+        for (const entry of entries.filter(entry => entry.type === 'OrderRFQ')) {
+            const expiration = toBN(decodeInfo(entry.order.info).expiration);
+            const { slot } = invalidatorPosition(entry.order.info);
+            const key = `${entry.order.maker.toLowerCase()}:${slot}`;
+            if (invalidators[key] === undefined) {
+                invalidators[key] = await invalidatorForOrderRFQ(this.web3, this.verifyingContract, entry.order.maker, slot, blockNumber);
+            }
+            if (isInvalidated(invalidators[key], entry.order.info)) {
+                removed.push({ orderHash: entry.orderHash, reason: 'filled or cancelled' });
+            } else if (!expiration.isZero() && expiration.lt(toBN(timestamp))) {
+                removed.push({ orderHash: entry.orderHash, reason: 'expired' });
+            }
+        }
+
+        for (const entry of entries) {
+            if (entry.type !== 'Order' || entry.interactions.predicate === '0x') {
+                entry.predicatePassed = true;
+                continue;
+            }
+            const { passed } = await evaluatePredicate(this.web3, this.verifyingContract, entry.interactions.predicate, { blockNumber, timestamp });
+            entry.predicatePassed = passed;
+        }
+        return removed;
+    }
+}
+
+module.exports = {
+    remainingsRaw,
+    OrderBook,
+};
@@ -0,0 +1,122 @@
+const Ajv = require('ajv');
+const ethSigUtil = require('eth-sig-util');
+const { isValidChecksumAddress, toChecksumAddress } = require('ethereumjs-util');
+const orderFileSchema = require('./orderFile.schema.json');
+const { DynamicField, ProtocolFlavour, buildOrderData, buildOrderRFQData, decodeOrder, protocolDomain } = require('./orderUtils');
+const { toBN, trim0x } = require('./utils');
+
+const ORDER_FILE_VERSION = 1;
+
+const validateSchema = new Ajv({ allErrors: true }).compile(orderFileSchema);
+
+const addressFields = ['makerAsset', 'takerAsset', 'maker', 'receiver', 'allowedSender'];
+const uintFields = ['salt', 'info', 'makingAmount', 'takingAmount', 'offsets'];
+
+function checksummed (order) {
+    return Object.keys(order).reduce((obj, key) => {
+        obj[key] = addressFields.includes(key) ? toChecksumAddress(order[key]) : order[key];
+        return obj;
+    }, {});
+}
+
+// Protocol flavour the order of the file is signed for, files without `flavour` predate Pro support
+function orderFileFlavour (file) {
+    return file.flavour === undefined ? 'standard' : file.flavour;
+}
+
+// Wraps a signed or unsigned order into the order file format described by `orderFile.schema.json`
+function buildOrderFile (order, { chainId, verifyingContract, signature, flavour = 'standard' }) {
+    const type = order.info === undefined ? 'Order' : 'OrderRFQ';
+    const file = {
+        version: ORDER_FILE_VERSION,
+        protocolVersion: protocolDomain(flavour).version,
+        flavour,
+        chainId: Number(chainId),
+        verifyingContract: toChecksumAddress(verifyingContract),
+        type,
+        order: checksummed(order),
+    };
+    if (type === 'Order') {
+        const { errors, ...interactions } = decodeOrder(order);
+        file.interactions = interactions;
+    }
+    if (signature !== undefined) {
+        file.signature = signature;
+    }
+    return file;
+}
+
+// 64 byte EIP-2098 signatures are expanded to `r, s, v` before recovery
+function recoverSigner (data, signature) {
+    let sig = trim0x(signature);
+    if (sig.length === 128) {
+        const vs = toBN(sig.substring(64), 'hex');
+        const v = vs.testn(255) ? '1c' : '1b';
+        sig = sig.substring(0, 64) + vs.maskn(255).toString('hex').padStart(64, '0') + v;
+    }
+    return ethSigUtil.recoverTypedSignature_v4({ data, sig: '0x' + sig });
+}
+
+// Returns the list of problems with the order file, empty when the file is valid.
+// Signatures are recovered as EOA ones, so orders of smart contract makers never validate
+function validateOrderFile (file) {
+    if (!validateSchema(file)) {
+        return validateSchema.errors.map(e => `${e.dataPath || 'file'} ${e.message}`);
+    }
+
+    const errors = [];
+    const { order } = file;
+    const flavour = orderFileFlavour(file);
+    if (file.protocolVersion !== ProtocolFlavour[flavour].version) {
+        errors.push(`protocolVersion: expected ${ProtocolFlavour[flavour].version} for the ${flavour} protocol`);
+    }
+    if (flavour === 'pro' && file.type === 'OrderRFQ') {
+        errors.push('type: the pro protocol does not support RFQ orders');
+    }
+    const addresses = { verifyingContract: file.verifyingContract };
+    for (const field of addressFields) {
+        if (order[field] !== undefined) {
+            addresses[`order.${field}`] = order[field];
+        }
+    }
+    for (const [field, address] of Object.entries(addresses)) {
+        if (!isValidChecksumAddress(address)) {
+            errors.push(`${field}: invalid address checksum, expected ${toChecksumAddress(address)}`);
+        }
+    }
+    for (const field of uintFields) {
+        if (order[field] !== undefined && toBN(order[field]).bitLength() > 256) {
+            errors.push(`order.${field}: does not fit into uint256`);
+        }
+    }
+
+    if (file.type === 'Order') {
+        const decoded = decodeOrder(order);
+        errors.push(...decoded.errors.map(e => `order.offsets: ${e}`));
+        for (const field of DynamicField) {
+            if (decoded[field] !== null && decoded[field].toLowerCase() !== file.interactions[field].toLowerCase()) {
+                errors.push(`interactions.${field}: does not match order.interactions sliced by order.offsets`);
+            }
+        }
+    }
+
+    if (file.signature !== undefined && errors.length === 0) {
+        const data = file.type === 'Order'
+            ? buildOrderData(file.chainId, file.verifyingContract, order, flavour)
+            : buildOrderRFQData(file.chainId, file.verifyingContract, order);
+        const signer = recoverSigner(data, file.signature);
+        if (signer.toLowerCase() !== order.maker.toLowerCase()) {
+            errors.push(`signature: recovers to ${toChecksumAddress(signer)} instead of order.maker`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    ORDER_FILE_VERSION,
+    orderFileSchema,
+    orderFileFlavour,
+    buildOrderFile,
+    validateOrderFile,
+};
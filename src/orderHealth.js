@@ -0,0 +1,98 @@
+const { BN } = require('ethereumjs-util');
+const { decodeErc1155AssetData, decodeErc721AssetData, readNftFunds } = require('./nftOrders');
+const { decodeOrder } = require('./orderUtils');
+const { call, toBN, trim0x } = require('./utils');
+
+const FROZEN_GETTER = '78'; // "x"
+
+// Where the maker asset of the order is pulled from: the ERC-20 token itself approved to the protocol,
+// or the token behind the NFT proxy the order routes `makerAssetData` through, approved to the proxy.
+// Orders routed through a proxy missing from `proxies` get an `error` instead
+function makerFunds (entry, { protocol, proxies }) {
+    const { order } = entry;
+    const isRFQ = order.info !== undefined;
+    const interactions = isRFQ ? { makerAssetData: '0x', getMakingAmount: '0x', getTakingAmount: '0x' } : decodeOrder(order);
+    const source = {
+        maker: order.maker,
+        required: toBN(isRFQ || entry.remaining === undefined ? order.makingAmount : entry.remaining),
+        partialFill: trim0x(interactions.getMakingAmount) !== FROZEN_GETTER || trim0x(interactions.getTakingAmount) !== FROZEN_GETTER,
+    };
+    if (interactions.makerAssetData === '0x') {
+        return { ...source, standard: 'ERC20', token: order.makerAsset, spender: protocol };
+    }
+
+    const proxy = Object.keys(proxies).find(address => address.toLowerCase() === order.makerAsset.toLowerCase());
+    if (proxy === undefined) {
+        return { ...source, error: `maker asset is routed through unknown proxy ${order.makerAsset}` };
+    }
+    const standard = proxies[proxy];
+    const { token, tokenId } = standard === 'ERC721'
+        ? decodeErc721AssetData(interactions.makerAssetData)
+        : decodeErc1155AssetData(interactions.makerAssetData);
+    return { ...source, standard, token, tokenId, spender: order.makerAsset };
+}
+
+// `{ balance, allowance }` the spender can pull from the maker, NFT approvals count as unlimited allowance
+async function readFunds (web3, { standard, maker, token, tokenId, spender }, blockNumber) {
+    if (standard === 'ERC20') {
+        const balance = toBN(await call(web3, token, 'balanceOf', ['address'], [maker], blockNumber));
+        const allowance = toBN(await call(web3, token, 'allowance', ['address', 'address'], [maker, spender], blockNumber));
+        return { balance, allowance };
+    }
+
+    const { balance, approved } = await readNftFunds(web3, { standard, token, tokenId, owner: maker, proxy: spender }, blockNumber);
+    return { balance, allowance: toBN(approved ? (standard === 'ERC721' ? 1 : balance) : 0) };
+}
+
+// Checks whether makers of `entries` (`{ order, remaining }` of `Order` or `OrderRFQ`, `remaining` as `quoteFill`
+// takes it) still hold and approved the maker asset of their orders. Orders of the same maker competing for the
+// same funds are served in the given order, so entries should be sorted by priority, e.g. best price first.
+// `proxies` maps NFT proxy addresses to 'ERC721' or 'ERC1155'. Returns for every entry
+// `{ index, status, required, available, balance, allowance }` with `status` being 'fillable', 'partiallyFillable'
+// or 'dead'. Orders which can not be filled partially (frozen getters) are dead unless fully funded. Orders whose
+// funds can not be read, i.e. routed through a proxy missing from `proxies`, get `{ index, status: 'unknown', reason, required }`
+async function checkOrderHealth (web3, entries, { protocol, proxies = {}, blockNumber = 'latest' } = {}) {
+    const sources = entries.map(entry => makerFunds(entry, { protocol, proxies }));
+
+    const funds = new Map();
+    const results = [];
+    for (const [index, source] of sources.entries()) {
+        if (source.error !== undefined) {
+            results.push({ index, status: 'unknown', reason: source.error, required: source.required.toString() });
+            continue;
+        }
+        const key = [source.maker, source.token, source.tokenId, source.spender].join(':').toLowerCase();
+        if (!funds.has(key)) {
+            const { balance, allowance } = await readFunds(web3, source, blockNumber);
+            funds.set(key, { balance, allowance, left: BN.min(balance, allowance) });
+        }
+        const fund = funds.get(key);
+
+        let status;
+        let available;
+        if (fund.left.gte(source.required)) {
+            status = 'fillable';
+            available = source.required;
+        } else if (source.partialFill && !fund.left.isZero()) {
+            status = 'partiallyFillable';
+            available = fund.left;
+        } else {
+            status = 'dead';
+            available = toBN(0);
+        }
+        fund.left = fund.left.sub(available);
+        results.push({
+            index,
+            status,
+            required: source.required.toString(),
+            available: available.toString(),
+            balance: fund.balance.toString(),
+            allowance: fund.allowance.toString(),
+        });
+    }
+    return results;
+}
+
+module.exports = {
+    checkOrderHealth,
+};
@@ -0,0 +1,274 @@
+const ethSigUtil = require('eth-sig-util');
+const { bufferToHex } = require('ethereumjs-util');
+const abiCoder = require('web3-eth-abi');
+const { EIP712Domain, domainSeparator } = require('./eip712');
+const { ZERO_ADDRESS, toBN, trim0x } = require('./utils');
+
+const OrderRFQ = [
+    { name: 'info', type: 'uint256' },
+    { name: 'makerAsset', type: 'address' },
+    { name: 'takerAsset', type: 'address' },
+    { name: 'maker', type: 'address' },
+    { name: 'allowedSender', type: 'address' },
+    { name: 'makingAmount', type: 'uint256' },
+    { name: 'takingAmount', type: 'uint256' },
+];
+
+const ABIOrderRFQ = {
+    OrderRFQ: OrderRFQ.reduce((obj, item) => {
+        obj[item.name] = item.type;
+        return obj;
+    }, {}),
+};
+
+const Order = [
+    { name: 'salt', type: 'uint256' },
+    { name: 'makerAsset', type: 'address' },
+    { name: 'takerAsset', type: 'address' },
+    { name: 'maker', type: 'address' },
+    { name: 'receiver', type: 'address' },
+    { name: 'allowedSender', type: 'address' },
+    { name: 'makingAmount', type: 'uint256' },
+    { name: 'takingAmount', type: 'uint256' },
+    { name: 'offsets', type: 'uint256' },
+    { name: 'interactions', type: 'bytes' },
+];
+
+const ABIOrder = {
+    Order: Order.reduce((obj, item) => {
+        obj[item.name] = item.type;
+        return obj;
+    }, {}),
+};
+
+// Same order as `OrderLib.DynamicField`
+const DynamicField = [
+    'makerAssetData',
+    'takerAssetData',
+    'getMakingAmount',
+    'getTakingAmount',
+    'predicate',
+    'permit',
+    'preInteraction',
+    'postInteraction',
+];
+
+// EIP-712 domains of `LimitOrderProtocol` and `LimitOrderProtocolPro`, the Pro one only accepts `Order`
+const ProtocolFlavour = {
+    standard: { name: '1inch Limit Order Protocol', version: '3' },
+    pro: { name: '1inch Pro Limit Order Protocol', version: '1' },
+};
+
+const { name, version } = ProtocolFlavour.standard;
+
+function protocolDomain (flavour) {
+    if (ProtocolFlavour[flavour] === undefined) {
+        throw new Error(`Unknown protocol flavour: ${flavour}`);
+    }
+    return ProtocolFlavour[flavour];
+}
+
+function buildOrder (
+    {
+        salt = '1',
+        makerAsset,
+        takerAsset,
+        makingAmount,
+        takingAmount,
+        allowedSender = ZERO_ADDRESS,
+        receiver = ZERO_ADDRESS,
+        from: maker = ZERO_ADDRESS,
+    },
+    {
+        makerAssetData = '0x',
+        takerAssetData = '0x',
+        getMakingAmount = '0x',
+        getTakingAmount = '0x',
+        predicate = '0x',
+        permit = '0x',
+        preInteraction = '0x',
+        postInteraction = '0x',
+    } = {},
+) {
+    if (getMakingAmount === '') {
+        getMakingAmount = '0x78'; // "x"
+    }
+    if (getTakingAmount === '') {
+        getTakingAmount = '0x78'; // "x"
+    }
+
+    const allInteractions = [
+        makerAssetData,
+        takerAssetData,
+        getMakingAmount,
+        getTakingAmount,
+        predicate,
+        permit,
+        preInteraction,
+        postInteraction,
+    ];
+
+    const interactions = '0x' + allInteractions.map(trim0x).join('');
+
+    // https://stackoverflow.com/a/55261098/440168
+    const cumulativeSum = (sum => value => { sum += value; return sum; })(0);
+    const offsets = allInteractions
+        .map(a => a.length / 2 - 1)
+        .map(cumulativeSum)
+        .reduce((acc, a, i) => acc.add(toBN(a).shln(32 * i)), toBN('0'));
+
+    return {
+        salt: salt.toString(),
+        makerAsset,
+        takerAsset,
+        maker,
+        receiver,
+        allowedSender,
+        makingAmount: makingAmount.toString(),
+        takingAmount: takingAmount.toString(),
+        offsets: offsets.toString(),
+        interactions,
+    };
+}
+
+// Inverse of `buildOrder`: splits `interactions` by `offsets` the same way `OrderLib._get` does.
+// Fields which could not be sliced on-chain are returned as `null` and explained in `errors`.
+function decodeOrder (order) {
+    const interactions = trim0x(order.interactions);
+    const length = interactions.length / 2;
+    const offsets = toBN(order.offsets);
+    const errors = [];
+    const result = {};
+
+    let end = 0;
+    for (let i = 0; i < DynamicField.length; i++) {
+        const start = i === 0 ? 0 : end;
+        end = offsets.shrn(32 * i).maskn(32).toNumber();
+        if (end < start) {
+            errors.push(`${DynamicField[i]}: offsets are not monotonic (${start} > ${end})`);
+            result[DynamicField[i]] = null;
+        } else if (end > length) {
+            errors.push(`${DynamicField[i]}: offset ${end} exceeds interactions length ${length}`);
+            result[DynamicField[i]] = null;
+        } else {
+            result[DynamicField[i]] = '0x' + interactions.substring(start * 2, end * 2);
+        }
+    }
+    if (end < length && errors.length === 0) {
+        errors.push(`interactions: ${length - end} trailing bytes are not covered by offsets`);
+    }
+
+    return { ...result, errors };
+}
+
+function buildOrderRFQ (
+    info,
+    makerAsset,
+    takerAsset,
+    makingAmount,
+    takingAmount,
+    from,
+    allowedSender = ZERO_ADDRESS,
+) {
+    return {
+        info,
+        makerAsset,
+        takerAsset,
+        maker: from,
+        allowedSender,
+        makingAmount,
+        takingAmount,
+    };
+}
+
+function buildOrderData (chainId, verifyingContract, order, flavour = 'standard') {
+    return {
+        primaryType: 'Order',
+        types: { EIP712Domain, Order },
+        domain: { ...protocolDomain(flavour), chainId, verifyingContract },
+        message: order,
+    };
+}
+
+function buildOrderRFQData (chainId, verifyingContract, order) {
+    return {
+        primaryType: 'OrderRFQ',
+        types: { EIP712Domain, OrderRFQ },
+        domain: { name, version, chainId, verifyingContract },
+        message: order,
+    };
+}
+
+// Same as `OrderLib.hash` with the domain separator of `verifyingContract`
+function hashOrder (order, chainId, verifyingContract, flavour = 'standard') {
+    const data = buildOrderData(chainId, verifyingContract, order, flavour);
+    return bufferToHex(ethSigUtil.TypedDataUtils.sign(data));
+}
+
+// Same as `OrderRFQLib.hash` with the domain separator of `verifyingContract`
+function hashOrderRFQ (order, chainId, verifyingContract) {
+    const data = buildOrderRFQData(chainId, verifyingContract, order);
+    return bufferToHex(ethSigUtil.TypedDataUtils.sign(data));
+}
+
+function signOrder (order, chainId, target, privateKey, flavour = 'standard') {
+    const data = buildOrderData(chainId, target, order, flavour);
+    return ethSigUtil.signTypedMessage(privateKey, { data });
+}
+
+function signOrderRFQ (order, chainId, target, privateKey) {
+    const data = buildOrderRFQData(chainId, target, order);
+    return ethSigUtil.signTypedMessage(privateKey, { data });
+}
+
+// Flavour whose domain separator matches `DOMAIN_SEPARATOR()` of the deployed `verifyingContract`
+async function detectProtocolFlavour (web3, verifyingContract, chainId) {
+    if (chainId === undefined) {
+        chainId = await web3.eth.getChainId();
+    }
+    const separator = await web3.eth.call({
+        to: verifyingContract,
+        data: abiCoder.encodeFunctionSignature('DOMAIN_SEPARATOR()'),
+    });
+    const flavour = Object.keys(ProtocolFlavour).find(flavour => {
+        const { name, version } = ProtocolFlavour[flavour];
+        return domainSeparator(name, version, chainId, verifyingContract) === separator;
+    });
+    if (flavour === undefined) {
+        throw new Error(`DOMAIN_SEPARATOR() of ${verifyingContract} is ${separator}, which matches no protocol flavour on chain ${chainId}`);
+    }
+    return flavour;
+}
+
+function compactSignature (signature) {
+    const r = toBN(signature.substring(2, 66), 'hex');
+    const s = toBN(signature.substring(66, 130), 'hex');
+    const v = toBN(signature.substring(130, 132), 'hex');
+    return {
+        r: '0x' + r.toString('hex').padStart(64, '0'),
+        vs: '0x' + v.subn(27).shln(255).add(s).toString('hex').padStart(64, '0'),
+    };
+}
+
+module.exports = {
+    OrderRFQ,
+    Order,
+    ABIOrderRFQ,
+    ABIOrder,
+    DynamicField,
+    buildOrder,
+    decodeOrder,
+    buildOrderRFQ,
+    buildOrderData,
+    buildOrderRFQData,
+    hashOrder,
+    hashOrderRFQ,
+    signOrder,
+    signOrderRFQ,
+    detectProtocolFlavour,
+    compactSignature,
+    ProtocolFlavour,
+    protocolDomain,
+    name,
+    version,
+};
@@ -0,0 +1,157 @@
+const abiCoder = require('web3-eth-abi');
+const ethSigUtil = require('eth-sig-util');
+const { fromRpcSig } = require('ethereumjs-util');
+const { EIP712Domain, Permit } = require('./eip712');
+const { call, toBN, trim0x } = require('./utils');
+
+const DEFAULT_DEADLINE = '18446744073709551615';
+
+const DaiLikePermit = [
+    { name: 'holder', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'allowed', type: 'bool' },
+];
+
+// `Permit2Mock` allowance of `owner` for `spender`, the immutable owner of the mock
+const PermitSingle = [
+    { name: 'owner', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+];
+
+// EIP-2612 `ERC20Permit.permit` typed data
+function buildPermitData ({ name, version = '1', chainId, token, owner, spender, value, nonce, deadline = DEFAULT_DEADLINE }) {
+    return {
+        primaryType: 'Permit',
+        types: { EIP712Domain, Permit },
+        domain: { name, version, chainId, verifyingContract: token },
+        message: { owner, spender, value: value.toString(), nonce: nonce.toString(), deadline: deadline.toString() },
+    };
+}
+
+// DAI `permit` typed data, `allowed` approves unlimited amount and its absence revokes approval
+function buildDaiPermitData ({ name, version = '1', chainId, token, holder, spender, nonce, expiry = 0, allowed = true }) {
+    return {
+        primaryType: 'Permit',
+        types: { EIP712Domain, Permit: DaiLikePermit },
+        domain: { name, version, chainId, verifyingContract: token },
+        message: { holder, spender, nonce: nonce.toString(), expiry: expiry.toString(), allowed },
+    };
+}
+
+// `Permit2Mock.permit` typed data, the domain is the one of `permit2` rather than of `token`
+function buildPermit2Data ({ chainId, permit2, owner, token, spender, amount, nonce, deadline = DEFAULT_DEADLINE }) {
+    return {
+        primaryType: 'PermitSingle',
+        types: { EIP712Domain, PermitSingle },
+        domain: { name: 'Permit2', version: '1', chainId, verifyingContract: permit2 },
+        message: { owner, token, spender, amount: amount.toString(), nonce: nonce.toString(), deadline: deadline.toString() },
+    };
+}
+
+function signPermit (data, privateKey) {
+    return ethSigUtil.signTypedMessage(Buffer.from(privateKey, 'hex'), { data });
+}
+
+// `IERC20Permit.permit` arguments without selector, the 7 words `SafeERC20.safePermit` expects
+function encodePermit ({ owner, spender, value, deadline }, signature) {
+    const { v, r, s } = fromRpcSig(signature);
+    return abiCoder.encodeParameters(
+        ['address', 'address', 'uint256', 'uint256', 'uint8', 'bytes32', 'bytes32'],
+        [owner, spender, value, deadline, v, r, s],
+    );
+}
+
+// `IDaiLikePermit.permit` arguments without selector, the 8 words `SafeERC20.safePermit` expects
+function encodeDaiPermit ({ holder, spender, nonce, expiry, allowed }, signature) {
+    const { v, r, s } = fromRpcSig(signature);
+    return abiCoder.encodeParameters(
+        ['address', 'address', 'uint256', 'uint256', 'bool', 'uint8', 'bytes32', 'bytes32'],
+        [holder, spender, nonce, expiry, allowed, v, r, s],
+    );
+}
+
+// `Permit2Mock.permit` arguments without selector, 7 words like `IERC20Permit.permit` with the token in place of `spender`
+function encodePermit2 ({ owner, token, amount, deadline }, signature) {
+    const { v, r, s } = fromRpcSig(signature);
+    return abiCoder.encodeParameters(
+        ['address', 'address', 'uint256', 'uint256', 'uint8', 'bytes32', 'bytes32'],
+        [owner, token, amount, deadline, v, r, s],
+    );
+}
+
+// Asset data of `Permit2Mock`: `func_60iHVgK(from, to, amount, unused, token)`, the order asset is the mock itself
+function permit2AssetData (token) {
+    return abiCoder.encodeParameters(['uint256', 'address'], ['0', token]);
+}
+
+// `permit` order field and `fillOrderToWithPermit` argument: target address followed by permit calldata
+function withTarget (target, data) {
+    return target.toString() + trim0x(data);
+}
+
+// Signed permit of `owner` allowing `spender` to spend `value` of `token`, in the form
+// `fillOrderRFQToWithPermit` takes it, wrap it with `withTarget` for the other permit arguments.
+// `type` is 'ERC2612', 'DAI' or 'Permit2'. 'DAI' ignores `value` and approves unlimited amount unless `allowed` is false.
+// 'Permit2' grants `spender`, which must be the immutable owner of the `permit2` mock, an allowance of `value` of `token`
+// held by the mock, the permit target and the order asset are then `permit2` with `permit2AssetData(token)`.
+// Token `name`, `nonce` and `chainId` are read from the chain when omitted
+async function getPermit (web3, {
+    type = 'ERC2612',
+    token,
+    permit2,
+    owner,
+    spender,
+    value,
+    deadline = DEFAULT_DEADLINE,
+    allowed = true,
+    name,
+    version = '1',
+    nonce,
+    chainId,
+    privateKey,
+}) {
+    if (type !== 'ERC2612' && type !== 'DAI' && type !== 'Permit2') {
+        throw new Error(`Unknown permit type: ${type}`);
+    }
+    chainId = chainId === undefined ? await web3.eth.getChainId() : chainId;
+
+    if (type === 'Permit2') {
+        const permit2Nonce = toBN(nonce === undefined ? await call(web3, permit2, 'nonces', ['address', 'address'], [owner, token]) : nonce).toString();
+        const args = { owner, token, amount: value.toString(), deadline: deadline.toString() };
+        const data = buildPermit2Data({ chainId, permit2, spender, nonce: permit2Nonce, ...args });
+        return encodePermit2(args, signPermit(data, privateKey));
+    }
+    const tokenName = name === undefined ? abiCoder.decodeParameter('string', await call(web3, token, 'name', [], [])) : name;
+    const tokenNonce = toBN(nonce === undefined ? await call(web3, token, 'nonces', ['address'], [owner]) : nonce).toString();
+
+    if (type === 'DAI') {
+        const args = { holder: owner, spender, nonce: tokenNonce, expiry: deadline.toString(), allowed };
+        const data = buildDaiPermitData({ name: tokenName, version, chainId, token, ...args });
+        return encodeDaiPermit(args, signPermit(data, privateKey));
+    }
+    const args = { owner, spender, value: value.toString(), deadline: deadline.toString() };
+    const data = buildPermitData({ name: tokenName, version, chainId, token, nonce: tokenNonce, ...args });
+    return encodePermit(args, signPermit(data, privateKey));
+}
+
+module.exports = {
+    DEFAULT_DEADLINE,
+    DaiLikePermit,
+    PermitSingle,
+    buildPermitData,
+    buildDaiPermitData,
+    buildPermit2Data,
+    signPermit,
+    encodePermit,
+    encodeDaiPermit,
+    encodePermit2,
+    permit2AssetData,
+    withTarget,
+    getPermit,
+};
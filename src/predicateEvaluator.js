@@ -0,0 +1,215 @@
+const abiCoder = require('web3-eth-abi');
+const { parsePredicate, buildPredicate, formatPredicate, predicateSelectors } = require('./predicates');
+const { call, staticcallForUint, toBN, trim0x } = require('./utils');
+
+function tryParse (data) {
+    try {
+        return parsePredicate(data);
+    } catch (e) {
+        return { type: 'call', data };
+    }
+}
+
+// 32 byte word at `offset` as `ArgumentsDecoder.decodeUint256` reads it
+function decodeUint256 (hex, offset) {
+    return toBN(hex.substring(offset * 2, offset * 2 + 64), 'hex');
+}
+
+function reverted (node, revert) {
+    return { ...node, success: false, result: '0', revert };
+}
+
+function boolean (node, value, extra = {}) {
+    return { ...node, ...extra, success: true, result: value ? '1' : '0' };
+}
+
+// `_selfStaticCall` only dispatches `or` in place: `and`, `eq`, `lt` and `gt` miss the dispatcher table
+// and fall through to `address(this).staticcallForUint`, which turns their reverts into a failed call
+const externallyDispatched = ['and', 'eq', 'lt', 'gt'];
+
+async function evaluateCalls (ctx, node, fn, offsets, param) {
+    const args = [];
+    let previous = 0;
+    let value = fn === 'and';
+    for (let i = 0; ; i += 32) {
+        const current = offsets.shrn(i).maskn(32).toNumber();
+        if (current === 0) {
+            break;
+        }
+        if (current < previous || current * 2 > param.length) {
+            return reverted({ ...node, args }, 'Calldata slice out of bounds');
+        }
+        const slice = '0x' + param.substring(previous * 2, current * 2);
+        previous = current;
+        if (value !== (fn === 'and')) {
+            args.push({ ...tryParse(slice), skipped: true });
+            continue;
+        }
+        const child = await evaluate(ctx, slice);
+        args.push(child);
+        if (child.revert !== undefined) {
+            return reverted({ ...node, args }, child.revert);
+        }
+        value = child.success && child.result === '1';
+    }
+    return boolean(node, value, { args });
+}
+
+async function evaluateCompare (ctx, node, fn, value, param) {
+    const child = await evaluate(ctx, param);
+    if (child.revert !== undefined) {
+        return reverted({ ...node, arg: child }, child.revert);
+    }
+    const res = toBN(child.result);
+    const compare = { eq: res.eq(value), lt: res.lt(value), gt: res.gt(value) };
+    return boolean(node, child.success && compare[fn], { arg: child });
+}
+
+async function evaluateExternally (ctx, node, fn, hex) {
+    let args;
+    try {
+        args = abiCoder.decodeParameters(['uint256', 'bytes'], '0x' + hex.substring(8));
+    } catch (e) {
+        return { ...node, success: false, result: '0', error: 'Invalid calldata' };
+    }
+    const result = fn === 'and'
+        ? await evaluateCalls(ctx, node, fn, toBN(args[0]), trim0x(args[1]))
+        : await evaluateCompare(ctx, node, fn, toBN(args[0]), trim0x(args[1]));
+    if (result.revert !== undefined) {
+        const { revert, ...rest } = result;
+        return { ...rest, error: revert };
+    }
+    return result;
+}
+
+// Mirrors `PredicateHelper._selfStaticCall` on the raw calldata, so ABI padding is handled the same way as on-chain
+async function evaluate (ctx, data) {
+    const hex = trim0x(data);
+    const node = tryParse('0x' + hex);
+    const length = hex.length / 2;
+
+    if (length < 4 + 32) {
+        return reverted(node, 'IncorrectDataLength');
+    }
+    const fn = predicateSelectors['0x' + hex.substring(0, 8)];
+    const arg = decodeUint256(hex, 4);
+
+    if (externallyDispatched.includes(fn)) {
+        return evaluateExternally(ctx, node, fn, hex);
+    }
+
+    switch (fn) {
+    case 'or':
+        if (length < 100) {
+            return reverted(node, 'IncorrectDataLength');
+        }
+        return evaluateCalls(ctx, node, fn, arg, hex.substring(200));
+    case 'timestampBelowAndNonceEquals':
+    case 'timestampBelow': {
+        const time = fn === 'timestampBelow' ? arg : arg.shrn(208).maskn(48);
+        const timestamp = await ctx.getTimestamp();
+        if (fn === 'timestampBelow') {
+            return boolean(node, toBN(timestamp).lt(time), { timestamp });
+        }
+        const nonce = await ctx.getNonce(node.account);
+        return boolean(node, toBN(timestamp).lt(time) && toBN(nonce).eq(arg.shrn(160).maskn(48)), { timestamp, actualNonce: nonce });
+    }
+    case 'nonceEquals': {
+        if (length < 0x24 + 32) {
+            return reverted(node, 'IncorrectDataLength');
+        }
+        const nonce = await ctx.getNonce(node.maker);
+        return boolean(node, toBN(nonce).eq(decodeUint256(hex, 0x24)), { actualNonce: nonce });
+    }
+    case 'arbitraryStaticCall': {
+        if (length < 100) {
+            return reverted(node, 'IncorrectDataLength');
+        }
+        const target = abiCoder.decodeParameter('address', '0x' + hex.substring(8, 72));
+        const { success, result } = await staticcallForUint(ctx.web3, target, '0x' + hex.substring(200), ctx.blockNumber);
+        if (!success) {
+            return reverted(node, 'ArbitraryStaticCallFailed');
+        }
+        return { ...node, success, result };
+    }
+    default:
+        return { ...node, ...await staticcallForUint(ctx.web3, ctx.protocol, '0x' + hex, ctx.blockNumber) };
+    }
+}
+
+// Evaluates `predicate` (calldata or `parsePredicate` tree) the way `OrderMixin.checkPredicate` would at `blockNumber`.
+// Every node of the returned tree carries `success` and `result` of its `_selfStaticCall`,
+// `revert` when it makes the whole predicate revert, `error` when a revert was swallowed by a self static call,
+// and `skipped` when `or`/`and` short-circuited before it
+async function evaluatePredicate (web3, protocol, predicate, { blockNumber = 'latest', timestamp } = {}) {
+    const data = typeof predicate === 'string' ? predicate : buildPredicate(predicate);
+    const nonces = {};
+    let blockTimestamp = timestamp;
+
+    const ctx = {
+        web3,
+        protocol,
+        blockNumber,
+        getTimestamp: async () => {
+            if (blockTimestamp === undefined) {
+                blockTimestamp = (await web3.eth.getBlock(blockNumber)).timestamp;
+            }
+            return blockTimestamp.toString();
+        },
+        getNonce: async (maker) => {
+            if (nonces[maker] === undefined) {
+                nonces[maker] = toBN(await call(web3, protocol, 'nonce', ['address'], [maker], blockNumber)).toString();
+            }
+            return nonces[maker];
+        },
+    };
+
+    const tree = await evaluate(ctx, data);
+    return {
+        passed: tree.success && tree.result === '1',
+        revert: tree.revert,
+        tree,
+    };
+}
+
+function describeNode (node) {
+    switch (node.type) {
+    case 'or':
+    case 'and':
+        return node.type;
+    case 'eq':
+    case 'lt':
+    case 'gt':
+        return `${node.type}(${node.value}, ...)`;
+    case 'timestampBelow':
+        return `${formatPredicate(node)} at timestamp ${node.timestamp}`;
+    case 'nonceEquals':
+    case 'timestampBelowAndNonceEquals':
+        return `${formatPredicate(node)} with nonce ${node.actualNonce}` + (node.timestamp !== undefined ? ` at timestamp ${node.timestamp}` : '');
+    default:
+        return formatPredicate(node);
+    }
+}
+
+// Renders `evaluatePredicate(...).tree` one node per line, e.g. `  [ok] lt(100, ...) = 0`
+function formatEvaluation (node, indent = '') {
+    if (node.skipped) {
+        return `${indent}[skipped] ${formatPredicate(node)}`;
+    }
+    const status = node.revert !== undefined
+        ? `revert ${node.revert}`
+        : node.error !== undefined ? `failed ${node.error}` : node.success ? 'ok' : 'failed';
+    const lines = [`${indent}[${status}] ${describeNode(node)} = ${node.result}`];
+    if (node.args !== undefined) {
+        lines.push(...node.args.map(arg => formatEvaluation(arg, indent + '  ')));
+    }
+    if (node.arg !== undefined) {
+        lines.push(formatEvaluation(node.arg, indent + '  '));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    evaluatePredicate,
+    formatEvaluation,
+};
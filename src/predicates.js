@@ -0,0 +1,213 @@
+const abiCoder = require('web3-eth-abi');
+const { toBN, trim0x } = require('./utils');
+
+// `PredicateHelper` functions which `_selfStaticCall` dispatches without an external call
+const PredicateHelperFunctions = {
+    or: ['uint256', 'bytes'],
+    and: ['uint256', 'bytes'],
+    eq: ['uint256', 'bytes'],
+    lt: ['uint256', 'bytes'],
+    gt: ['uint256', 'bytes'],
+    timestampBelow: ['uint256'],
+    nonceEquals: ['address', 'uint256'],
+    timestampBelowAndNonceEquals: ['uint256'],
+    arbitraryStaticCall: ['address', 'bytes'],
+};
+
+const predicateSelectors = Object.keys(PredicateHelperFunctions).reduce((obj, fn) => {
+    obj[abiCoder.encodeFunctionSignature(`${fn}(${PredicateHelperFunctions[fn].join(',')})`)] = fn;
+    return obj;
+}, {});
+
+function encodeCall (fn, args) {
+    const types = PredicateHelperFunctions[fn];
+    const selector = abiCoder.encodeFunctionSignature(`${fn}(${types.join(',')})`);
+    return selector + trim0x(abiCoder.encodeParameters(types, args.map(a => a.toString())));
+}
+
+function joinStaticCalls (dataArray) {
+    const trimmed = dataArray.map(trim0x);
+    const cumulativeSum = (sum => value => { sum += value; return sum; })(0);
+    return {
+        offsets: trimmed
+            .map(d => d.length / 2)
+            .map(cumulativeSum)
+            .reduce((acc, val, i) => acc.or(toBN(val).shln(32 * i)), toBN('0')),
+        data: '0x' + trimmed.join(''),
+    };
+}
+
+function splitStaticCalls (offsets, data) {
+    const trimmed = trim0x(data);
+    const result = [];
+    let previous = 0;
+    for (let i = 0; ; i += 32) {
+        const current = toBN(offsets).shrn(i).maskn(32).toNumber();
+        if (current === 0) {
+            break;
+        }
+        result.push('0x' + trimmed.substring(previous * 2, current * 2));
+        previous = current;
+    }
+    return result;
+}
+
+function or (...calls) {
+    const { offsets, data } = joinStaticCalls(calls);
+    return encodeCall('or', [offsets, data]);
+}
+
+function and (...calls) {
+    const { offsets, data } = joinStaticCalls(calls);
+    return encodeCall('and', [offsets, data]);
+}
+
+function eq (value, call) {
+    return encodeCall('eq', [value, call]);
+}
+
+function lt (value, call) {
+    return encodeCall('lt', [value, call]);
+}
+
+function gt (value, call) {
+    return encodeCall('gt', [value, call]);
+}
+
+function timestampBelow (time) {
+    return encodeCall('timestampBelow', [time]);
+}
+
+function nonceEquals (maker, nonce) {
+    return encodeCall('nonceEquals', [maker, nonce]);
+}
+
+// `timestampBelowAndNonceEquals` argument: 48 bit time, 48 bit nonce and 160 bit account in one word
+function encodeTimeNonceAccount (time, nonce, account) {
+    if (toBN(time).bitLength() > 48 || toBN(nonce).bitLength() > 48) {
+        throw new Error('Time and nonce must fit into 48 bits');
+    }
+    return toBN(trim0x(account), 'hex')
+        .or(toBN(nonce).shln(160))
+        .or(toBN(time).shln(208))
+        .toString();
+}
+
+function decodeTimeNonceAccount (timeNonceAccount) {
+    const word = toBN(timeNonceAccount);
+    return {
+        time: word.shrn(208).maskn(48).toString(),
+        nonce: word.shrn(160).maskn(48).toString(),
+        account: abiCoder.decodeParameter('address', '0x' + word.maskn(160).toString('hex').padStart(64, '0')),
+    };
+}
+
+function timestampBelowAndNonceEquals (time, nonce, account) {
+    return encodeCall('timestampBelowAndNonceEquals', [encodeTimeNonceAccount(time, nonce, account)]);
+}
+
+function arbitraryStaticCall (target, data) {
+    return encodeCall('arbitraryStaticCall', [target, data]);
+}
+
+// Turns predicate calldata back into a tree of `{ type, ... }` nodes.
+// Calls which `PredicateHelper._selfStaticCall` forwards to the protocol itself become `{ type: 'call', data }`
+function parsePredicate (predicate) {
+    const data = '0x' + trim0x(predicate);
+    const fn = predicateSelectors[data.substring(0, 10)];
+    if (fn === undefined) {
+        return { type: 'call', data };
+    }
+
+    const args = abiCoder.decodeParameters(PredicateHelperFunctions[fn], '0x' + data.substring(10));
+    switch (fn) {
+    case 'or':
+    case 'and':
+        return { type: fn, args: splitStaticCalls(args[0], args[1]).map(parsePredicate) };
+    case 'eq':
+    case 'lt':
+    case 'gt':
+        return { type: fn, value: args[0], arg: parsePredicate(args[1]) };
+    case 'timestampBelow':
+        return { type: fn, time: args[0] };
+    case 'nonceEquals':
+        return { type: fn, maker: args[0], nonce: args[1] };
+    case 'timestampBelowAndNonceEquals':
+        return { type: fn, ...decodeTimeNonceAccount(args[0]) };
+    case 'arbitraryStaticCall':
+        return { type: fn, target: args[0], data: args[1] };
+    }
+}
+
+// Inverse of `parsePredicate`
+function buildPredicate (node) {
+    switch (node.type) {
+    case 'or':
+        return or(...node.args.map(buildPredicate));
+    case 'and':
+        return and(...node.args.map(buildPredicate));
+    case 'eq':
+        return eq(node.value, buildPredicate(node.arg));
+    case 'lt':
+        return lt(node.value, buildPredicate(node.arg));
+    case 'gt':
+        return gt(node.value, buildPredicate(node.arg));
+    case 'timestampBelow':
+        return timestampBelow(node.time);
+    case 'nonceEquals':
+        return nonceEquals(node.maker, node.nonce);
+    case 'timestampBelowAndNonceEquals':
+        return timestampBelowAndNonceEquals(node.time, node.nonce, node.account);
+    case 'arbitraryStaticCall':
+        return arbitraryStaticCall(node.target, node.data);
+    case 'call':
+        return node.data;
+    default:
+        throw new Error(`Unknown predicate node type: ${node.type}`);
+    }
+}
+
+// Human readable form of a predicate, e.g. `and(timestampBelow(1000), lt(5, arbitraryStaticCall(0x..., 0x...)))`
+function formatPredicate (predicate) {
+    const node = typeof predicate === 'string' ? parsePredicate(predicate) : predicate;
+    switch (node.type) {
+    case 'or':
+    case 'and':
+        return `${node.type}(${node.args.map(formatPredicate).join(', ')})`;
+    case 'eq':
+    case 'lt':
+    case 'gt':
+        return `${node.type}(${node.value}, ${formatPredicate(node.arg)})`;
+    case 'timestampBelow':
+        return `timestampBelow(${node.time})`;
+    case 'nonceEquals':
+        return `nonceEquals(${node.maker}, ${node.nonce})`;
+    case 'timestampBelowAndNonceEquals':
+        return `timestampBelowAndNonceEquals(${node.time}, ${node.nonce}, ${node.account})`;
+    case 'arbitraryStaticCall':
+        return `arbitraryStaticCall(${node.target}, ${node.data})`;
+    default:
+        return `call(${node.data})`;
+    }
+}
+
+module.exports = {
+    PredicateHelperFunctions,
+    predicateSelectors,
+    joinStaticCalls,
+    splitStaticCalls,
+    or,
+    and,
+    eq,
+    lt,
+    gt,
+    timestampBelow,
+    nonceEquals,
+    encodeTimeNonceAccount,
+    decodeTimeNonceAccount,
+    timestampBelowAndNonceEquals,
+    arbitraryStaticCall,
+    parsePredicate,
+    buildPredicate,
+    formatPredicate,
+};
@@ -0,0 +1,164 @@
+const abiCoder = require('web3-eth-abi');
+const { quoteFill } = require('./amountCalculator');
+const { ABIOrder } = require('./orderUtils');
+const { toBN, trim0x } = require('./utils');
+
+// `RecursiveMatcher.fillOrderInteraction` prefixes
+const FILL_INTERACTION = '00';
+const FINALIZE_INTERACTION = '01';
+
+const fillOrderArgs = [ABIOrder, 'bytes', 'bytes', 'uint256', 'uint256', 'uint256'];
+
+const matchOrdersSelector = abiCoder.encodeFunctionSignature(
+    'matchOrders(address,(uint256,address,address,address,address,address,uint256,uint256,uint256,bytes),bytes,bytes,uint256,uint256,uint256)',
+);
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Cycles of order indexes where every order takes the maker asset of the next one and the last one takes
+// the maker asset of the first one. Every cycle is listed once, starting from its lowest index
+function findCycles (entries, maxLegs) {
+    const cycles = [];
+    const extend = (path) => {
+        const first = entries[path[0]].order;
+        const last = entries[path[path.length - 1]].order;
+        entries.forEach(({ order }, i) => {
+            if (i <= path[0] || path.includes(i) || !sameAddress(order.makerAsset, last.takerAsset)) {
+                return;
+            }
+            if (sameAddress(order.takerAsset, first.makerAsset)) {
+                cycles.push([...path, i]);
+            }
+            if (path.length + 1 < maxLegs) {
+                extend([...path, i]);
+            }
+        });
+    };
+    entries.forEach((_, i) => extend([i]));
+    return cycles;
+}
+
+// Largest fill of the cycle where every order is paid exactly with the maker asset of the next one,
+// the first order maker asset left after paying the last order is the surplus
+async function cycleAmounts (legs, options) {
+    const first = legs[0];
+    let making = toBN(first.remaining === undefined ? first.order.makingAmount : first.remaining);
+    for (let attempt = 0; attempt <= 2 * legs.length && !making.isZero(); attempt++) {
+        const fills = [];
+        let amount = making;
+        for (const leg of legs) {
+            const quote = await quoteFill(leg.order, leg.remaining, { ...options, makingAmount: amount });
+            if (quote.error !== undefined) {
+                return undefined;
+            }
+            if (toBN(quote.makingAmount).lt(amount)) {
+                // capped by the remaining amount of the leg, shrink the whole cycle proportionally
+                making = making.mul(toBN(quote.makingAmount)).div(amount);
+                break;
+            }
+            fills.push(quote);
+            amount = toBN(quote.takingAmount);
+        }
+        if (fills.length === legs.length) {
+            return amount.lte(making) ? { fills, surplus: making.sub(amount) } : undefined;
+        }
+    }
+    return undefined;
+}
+
+// Crossing cycles of up to `maxLegs` orders among `entries` (`{ order, signature, remaining }`, `remaining`
+// as `quoteFill` takes it) with the amounts `RecursiveMatcher` fills them with
+async function findMatches (entries, { maxLegs = 3, web3, blockNumber } = {}) {
+    const matches = [];
+    for (const cycle of findCycles(entries, maxLegs)) {
+        const legs = cycle.map(index => entries[index]);
+        const amounts = await cycleAmounts(legs, { web3, blockNumber });
+        if (amounts === undefined) {
+            continue;
+        }
+        matches.push({
+            legs: legs.map(({ order, signature }, i) => ({
+                index: cycle[i],
+                order,
+                signature,
+                makingAmount: amounts.fills[i].makingAmount,
+                takingAmount: amounts.fills[i].takingAmount,
+            })),
+            surplus: { asset: legs[0].order.makerAsset, amount: amounts.surplus.toString() },
+        });
+    }
+    return matches;
+}
+
+function approveCall (spender, amount) {
+    return abiCoder.encodeFunctionCall({
+        name: 'approve',
+        type: 'function',
+        inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    }, [spender, amount.toString()]);
+}
+
+function transferCall (to, amount) {
+    return abiCoder.encodeFunctionCall({
+        name: 'transfer',
+        type: 'function',
+        inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    }, [to, amount.toString()]);
+}
+
+// Final interaction approving `protocol` to take every taker asset from `matcher` and sending the surplus to `beneficiary`
+function finalizeInteraction (match, { matcher, protocol, beneficiary }) {
+    const approvals = [];
+    for (const leg of match.legs) {
+        const approval = approvals.find(({ asset }) => sameAddress(asset, leg.order.takerAsset));
+        if (approval === undefined) {
+            approvals.push({ asset: leg.order.takerAsset, amount: toBN(leg.takingAmount) });
+        } else {
+            approval.amount = approval.amount.add(toBN(leg.takingAmount));
+        }
+    }
+    const targets = approvals.map(({ asset }) => asset);
+    const calldatas = approvals.map(({ amount }) => approveCall(protocol, amount));
+    if (beneficiary !== undefined && !toBN(match.surplus.amount).isZero()) {
+        targets.push(match.surplus.asset);
+        calldatas.push(transferCall(beneficiary, match.surplus.amount));
+    }
+    return matcher + FINALIZE_INTERACTION + trim0x(abiCoder.encodeParameters(['address[]', 'bytes[]'], [targets, calldatas]));
+}
+
+// `RecursiveMatcher.matchOrders` transaction filling `match` legs one inside another's interaction.
+// Without `beneficiary` the surplus stays on `matcher`
+function buildMatchTransaction (match, { matcher, protocol, beneficiary }) {
+    const [first, ...nested] = match.legs;
+    const interaction = nested.reduceRight(
+        (inner, leg) => matcher + FILL_INTERACTION + trim0x(abiCoder.encodeParameters(
+            fillOrderArgs,
+            [leg.order, leg.signature, inner, leg.makingAmount, '0', leg.takingAmount],
+        )),
+        finalizeInteraction(match, { matcher, protocol, beneficiary }),
+    );
+    return {
+        to: matcher,
+        interaction,
+        data: matchOrdersSelector + trim0x(abiCoder.encodeParameters(
+            ['address', ...fillOrderArgs],
+            [protocol, first.order, first.signature, interaction, first.makingAmount, '0', first.takingAmount],
+        )),
+    };
+}
+
+// Dry-runs the match transaction from `from`, returns the gas it takes or the revert message
+async function simulateMatch (web3, { to, data }, from, blockNumber = 'latest') {
+    try {
+        await web3.eth.call({ from, to, data }, blockNumber);
+        return { success: true, gas: await web3.eth.estimateGas({ from, to, data }) };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+}
+
+module.exports = {
+    findMatches,
+    buildMatchTransaction,
+    simulateMatch,
+};
@@ -0,0 +1,66 @@
+const http = require('http');
+
+const maxBodyLength = 1 << 20;
+
+function send (res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody (req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > maxBodyLength) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handle (orderBook, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const [collection, orderHash, ...rest] = url.pathname.split('/').filter(part => part !== '');
+    if (collection !== 'orders' || rest.length > 0) {
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    if (orderHash === undefined && req.method === 'GET') {
+        const query = Object.fromEntries(url.searchParams);
+        return send(res, 200, orderBook.find({ ...query, all: query.all === 'true' }));
+    }
+    if (orderHash === undefined && req.method === 'POST') {
+        let file;
+        try {
+            file = JSON.parse(await readBody(req));
+        } catch (e) {
+            return send(res, 400, { errors: [e.message] });
+        }
+        const result = await orderBook.add(file);
+        return send(res, result.errors === undefined ? 201 : 400, result);
+    }
+    if (orderHash !== undefined && req.method === 'GET') {
+        const entry = orderBook.get(orderHash);
+        return entry === undefined ? send(res, 404, { error: 'Not found' }) : send(res, 200, entry);
+    }
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+// Plain HTTP API over an `OrderBook`:
+//   POST /orders                                             submit a signed order file
+//   GET  /orders?maker=&makerAsset=&takerAsset=&type=&all=   list orders, `all=true` includes failing predicates
+//   GET  /orders/<orderHash>                                 single order
+function createRelayServer (orderBook) {
+    return http.createServer((req, res) => {
+        handle(orderBook, req, res).catch(e => send(res, 500, { error: e.message }));
+    });
+}
+
+module.exports = {
+    createRelayServer,
+};
@@ -0,0 +1,114 @@
+const abiCoder = require('web3-eth-abi');
+const { ABIOrderRFQ, compactSignature } = require('./orderUtils');
+const { toBN, trim0x } = require('./utils');
+
+// Same as `OrderRFQMixin` constants
+const MAKER_AMOUNT_FLAG = toBN(1).shln(255);
+const SIGNER_SMART_CONTRACT_HINT = toBN(1).shln(254);
+const IS_VALID_SIGNATURE_65_BYTES = toBN(1).shln(253);
+const AMOUNT_MASK = toBN(1).shln(253).subn(1);
+
+// Half of the secp256k1 curve order, signatures with a higher `s` are malleable and do not fit into `vs`
+const SECP256K1_HALF_ORDER = toBN('7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0', 'hex');
+
+const fillOrderRFQCompactSelector = abiCoder.encodeFunctionSignature(
+    'fillOrderRFQCompact((uint256,address,address,address,address,uint256,uint256),bytes32,bytes32,uint256)',
+);
+
+// `r` and `vs` of a 64 byte EIP-2098 or a 65 byte `r, s, v` signature
+function splitSignature (signature) {
+    const hex = trim0x(signature);
+    if (hex.length === 128) {
+        return { r: '0x' + hex.substring(0, 64), vs: '0x' + hex.substring(64) };
+    }
+    const v = parseInt(hex.substring(128), 16);
+    if (v !== 27 && v !== 28) {
+        throw new Error(`Signature v must be 27 or 28, got ${v}`);
+    }
+    if (toBN(hex.substring(64, 128), 'hex').gt(SECP256K1_HALF_ORDER)) {
+        throw new Error('Signature s must not exceed the secp256k1 half order');
+    }
+    return compactSignature('0x' + hex);
+}
+
+// Arguments and calldata of `fillOrderRFQCompact` filling `amount` of the `side` ('making' or 'taking') asset,
+// `amount` of zero fills the whole order. EOA signatures go without flags as the contract
+// tries `ecrecover` first, `smartContract` signers get `_SIGNER_SMART_CONTRACT_HINT` and,
+// for 65 byte signatures, `_IS_VALID_SIGNATURE_65_BYTES` so that `isValidSignature` receives
+// the signature in its original length. Other ERC-1271 signatures only fit `fillOrderRFQ`
+function encodeFillOrderRFQCompact (order, signature, amount, { side = 'making', smartContract = false } = {}) {
+    const length = trim0x(signature).length / 2;
+    if (length !== 64 && length !== 65) {
+        throw new Error(`Compact fill supports 64 and 65 byte signatures only, got ${length} bytes`);
+    }
+    if (side !== 'making' && side !== 'taking') {
+        throw new Error(`Unknown side: ${side}`);
+    }
+    const value = toBN(amount);
+    if (value.gt(AMOUNT_MASK)) {
+        throw new Error(`Amount ${value} does not fit into _AMOUNT_MASK`);
+    }
+
+    const { r, vs } = splitSignature(signature);
+    let flags = toBN(0);
+    if (side === 'making') {
+        flags = flags.or(MAKER_AMOUNT_FLAG);
+    }
+    if (smartContract) {
+        flags = flags.or(SIGNER_SMART_CONTRACT_HINT);
+        if (length === 65) {
+            flags = flags.or(IS_VALID_SIGNATURE_65_BYTES);
+        }
+    }
+    const encodedAmount = value.or(flags).toString();
+
+    return {
+        r,
+        vs,
+        amount: encodedAmount,
+        data: fillOrderRFQCompactSelector + trim0x(abiCoder.encodeParameters(
+            [ABIOrderRFQ, 'bytes32', 'bytes32', 'uint256'],
+            [order, r, vs, encodedAmount],
+        )),
+    };
+}
+
+// Inverse of `encodeFillOrderRFQCompact` for captured calldata
+function decodeFillOrderRFQCompact (data) {
+    const hex = '0x' + trim0x(data);
+    if (hex.substring(0, 10) !== fillOrderRFQCompactSelector) {
+        throw new Error(`Not a fillOrderRFQCompact call: ${hex.substring(0, 10)}`);
+    }
+    const args = abiCoder.decodeParameters([ABIOrderRFQ, 'bytes32', 'bytes32', 'uint256'], '0x' + hex.substring(10));
+    const order = Object.keys(ABIOrderRFQ.OrderRFQ).reduce((obj, key) => {
+        obj[key] = args[0][key];
+        return obj;
+    }, {});
+    const amount = toBN(args[3]);
+    const vs = toBN(trim0x(args[2]), 'hex');
+    const s = vs.maskn(255).toString('hex').padStart(64, '0');
+    const v = vs.testn(255) ? '1c' : '1b';
+    const smartContract = !amount.and(SIGNER_SMART_CONTRACT_HINT).isZero();
+    const signature65 = !amount.and(IS_VALID_SIGNATURE_65_BYTES).isZero();
+
+    return {
+        order,
+        r: args[1],
+        vs: args[2],
+        amount: amount.and(AMOUNT_MASK).toString(),
+        side: amount.and(MAKER_AMOUNT_FLAG).isZero() ? 'taking' : 'making',
+        smartContract,
+        signature65,
+        // signature as `isValidSignature` or `ecrecover` receive it
+        signature: smartContract && !signature65 ? args[1] + trim0x(args[2]) : args[1] + s + v,
+    };
+}
+
+module.exports = {
+    MAKER_AMOUNT_FLAG,
+    SIGNER_SMART_CONTRACT_HINT,
+    IS_VALID_SIGNATURE_65_BYTES,
+    AMOUNT_MASK,
+    encodeFillOrderRFQCompact,
+    decodeFillOrderRFQCompact,
+};
@@ -0,0 +1,99 @@
+const { BN } = require('ethereumjs-util');
+const { call, toBN } = require('./utils');
+
+// `OrderRFQ.info` keeps the order id in the lowest 64 bits and the expiration timestamp in the next 64 bits
+function encodeInfo (id, expiration = 0) {
+    if (toBN(id).bitLength() > 64 || toBN(expiration).bitLength() > 64) {
+        throw new Error('Id and expiration must fit into 64 bits');
+    }
+    return toBN(expiration).shln(64).or(toBN(id)).toString();
+}
+
+function decodeInfo (info) {
+    const bn = toBN(info);
+    return {
+        id: bn.maskn(64).toString(),
+        expiration: bn.shrn(64).maskn(64).toString(),
+    };
+}
+
+// Same as `OrderRFQMixin._invalidateOrder`: slot is `uint64(info) >> 8`, bit is `uint8(info)`
+function invalidatorPosition (info) {
+    const id = toBN(info).maskn(64);
+    return { slot: id.shrn(8).toString(), bit: id.maskn(8).toNumber() };
+}
+
+function isInvalidated (invalidator, info) {
+    return toBN(invalidator).testn(invalidatorPosition(info).bit);
+}
+
+async function invalidatorForOrderRFQ (web3, protocol, maker, slot, blockNumber = 'latest') {
+    return toBN(await call(web3, protocol, 'invalidatorForOrderRFQ', ['address', 'uint256'], [maker, slot.toString()], blockNumber));
+}
+
+// Invalidator words of `maker` covering ids `fromId..toId`, keyed by slot
+async function readInvalidators (web3, protocol, maker, fromId, toId, { blockNumber } = {}) {
+    const invalidators = {};
+    const last = toBN(toId).shrn(8);
+    for (let slot = toBN(fromId).shrn(8); slot.lte(last); slot = slot.addn(1)) {
+        invalidators[slot.toString()] = (await invalidatorForOrderRFQ(web3, protocol, maker, slot, blockNumber)).toString();
+    }
+    return invalidators;
+}
+
+// Bits of `slot` which belong to ids `fromId..toId`
+function rangeMask (slot, fromId, toId) {
+    const first = toBN(slot).shln(8);
+    const from = BN.max(toBN(fromId), first).sub(first).toNumber();
+    const to = BN.min(toBN(toId), first.addn(255)).sub(first).toNumber();
+    if (from > to) {
+        return new BN(0);
+    }
+    return new BN(1).shln(to + 1).sub(new BN(1).shln(from));
+}
+
+// Ids in `fromId..toId` which were already filled or cancelled according to `invalidators` from `readInvalidators`
+function usedIds (invalidators, fromId, toId) {
+    const ids = [];
+    for (const [slot, invalidator] of Object.entries(invalidators)) {
+        const used = toBN(invalidator).and(rangeMask(slot, fromId, toId));
+        for (let bit = 0; bit < 256; bit++) {
+            if (used.testn(bit)) {
+                ids.push(toBN(slot).shln(8).addn(bit).toString());
+            }
+        }
+    }
+    return ids;
+}
+
+// Arguments of `cancelOrderRFQ(orderInfo, additionalMask)` calls cancelling every not yet used id in `fromId..toId`,
+// one call per slot. `cancelOrderRFQ` reverts with `InvalidatedOrder` when any of the bits is already set,
+// so used ids from `invalidators` are left out of the masks and fully used slots are skipped
+function buildCancelBatches (fromId, toId, invalidators = {}) {
+    const batches = [];
+    const last = toBN(toId).shrn(8);
+    for (let slot = toBN(fromId).shrn(8); slot.lte(last); slot = slot.addn(1)) {
+        const invalidator = toBN(invalidators[slot.toString()] || '0');
+        const mask = rangeMask(slot, fromId, toId).and(invalidator.notn(256));
+        if (mask.isZero()) {
+            continue;
+        }
+        const firstBit = mask.zeroBits();
+        batches.push({
+            orderInfo: slot.shln(8).addn(firstBit).toString(),
+            additionalMask: mask.toString(),
+        });
+    }
+    return batches;
+}
+
+module.exports = {
+    encodeInfo,
+    decodeInfo,
+    invalidatorPosition,
+    isInvalidated,
+    invalidatorForOrderRFQ,
+    readInvalidators,
+    usedIds,
+    buildCancelBatches,
+};
@@ -0,0 +1,114 @@
+const abiCoder = require('web3-eth-abi');
+const { evaluatePredicate } = require('./predicateEvaluator');
+const { and, arbitraryStaticCall, buildPredicate, parsePredicate, timestampBelow } = require('./predicates');
+const { decodeOrder } = require('./orderUtils');
+const { call, encodeCall, toBN, trim0x } = require('./utils');
+
+const nonceEqualsSelector = abiCoder.encodeFunctionSignature('nonceEquals(uint8,address,uint256)');
+const MAX_UINT256 = toBN(2).pow(toBN(256)).subn(1);
+
+function checkSeries (series) {
+    if (!Number.isInteger(Number(series)) || Number(series) < 0 || Number(series) > 255) {
+        throw new Error(`Series must be an uint8: ${series}`);
+    }
+}
+
+function encodeNonceEquals (series, maker, nonce) {
+    checkSeries(series);
+    return encodeCall('nonceEquals', ['uint8', 'address', 'uint256'], [series.toString(), maker, nonce.toString()]);
+}
+
+// Predicate passing while `SeriesNonceManager.nonce(series, maker)` equals `nonce`
+function seriesNonceEquals (seriesNonceManager, series, maker, nonce) {
+    return arbitraryStaticCall(seriesNonceManager, encodeNonceEquals(series, maker, nonce));
+}
+
+// Series counterpart of `timestampBelowAndNonceEquals`
+function seriesTimestampBelowAndNonceEquals (seriesNonceManager, series, time, nonce, maker) {
+    return and(timestampBelow(time), seriesNonceEquals(seriesNonceManager, series, maker, nonce));
+}
+
+// `{ series, maker, nonce }` of a `parsePredicate` node made by `seriesNonceEquals`, `undefined` for other nodes
+function parseSeriesNonceEquals (node, seriesNonceManager) {
+    if (node.type !== 'arbitraryStaticCall' || node.target.toLowerCase() !== seriesNonceManager.toLowerCase()) {
+        return undefined;
+    }
+    if (!node.data.startsWith(nonceEqualsSelector) || trim0x(node.data).length !== 8 + 64 * 3) {
+        return undefined;
+    }
+    const args = abiCoder.decodeParameters(['uint8', 'address', 'uint256'], '0x' + node.data.substring(10));
+    return { series: Number(args[0]), maker: args[1], nonce: args[2].toString() };
+}
+
+// `{ <series>: nonce }` of the maker for each of `series`
+async function readSeriesNonces (web3, seriesNonceManager, maker, series, { blockNumber = 'latest' } = {}) {
+    const nonces = {};
+    for (const s of series) {
+        checkSeries(s);
+        nonces[s] = toBN(await call(web3, seriesNonceManager, 'nonce', ['uint8', 'address'], [s.toString(), maker], blockNumber)).toString();
+    }
+    return nonces;
+}
+
+// After `advanceNonce(series, amount)` a check for `nonce` passes exactly when it would pass now for `nonce - amount`,
+// so the predicate is rewritten that way and evaluated against the current state
+function shiftNonceChecks (node, seriesNonceManager, { maker, series, amount }) {
+    const check = parseSeriesNonceEquals(node, seriesNonceManager);
+    if (check !== undefined) {
+        if (check.series !== Number(series) || check.maker.toLowerCase() !== maker.toLowerCase()) {
+            return node;
+        }
+        const nonce = toBN(check.nonce).gte(toBN(amount)) ? toBN(check.nonce).sub(toBN(amount)) : MAX_UINT256;
+        return { ...node, data: encodeNonceEquals(series, maker, nonce) };
+    }
+    switch (node.type) {
+    case 'or':
+    case 'and':
+        return { ...node, args: node.args.map(arg => shiftNonceChecks(arg, seriesNonceManager, { maker, series, amount })) };
+    case 'eq':
+    case 'lt':
+    case 'gt':
+        return { ...node, arg: shiftNonceChecks(node.arg, seriesNonceManager, { maker, series, amount }) };
+    default:
+        return node;
+    }
+}
+
+// Reports for every entry (`{ order }`) whether its predicate passes now and after `maker` sends
+// `advanceNonce(series, amount)` to `seriesNonceManager`: `[{ index, passedBefore, passedAfter, invalidated }]`.
+// RFQ orders and orders without predicate are never invalidated
+async function previewAdvanceNonce (web3, entries, { protocol, seriesNonceManager, maker, series, amount = 1, blockNumber = 'latest' }) {
+    checkSeries(series);
+    if (!Number.isInteger(Number(amount)) || Number(amount) < 0 || Number(amount) > 255) {
+        throw new Error(`Amount must be an uint8: ${amount}`);
+    }
+    const { timestamp } = await web3.eth.getBlock(blockNumber);
+    const options = { blockNumber, timestamp };
+
+    const result = [];
+    for (const [index, { order }] of entries.entries()) {
+        const predicate = order.info === undefined ? decodeOrder(order).predicate : '0x';
+        if (!predicate || predicate === '0x') {
+            result.push({ index, passedBefore: true, passedAfter: true, invalidated: false });
+            continue;
+        }
+        let shifted = predicate;
+        try {
+            shifted = buildPredicate(shiftNonceChecks(parsePredicate(predicate), seriesNonceManager, { maker, series, amount }));
+        } catch (e) {
+            // Predicates which do not parse can not contain nonce checks the protocol would reach
+        }
+        const before = await evaluatePredicate(web3, protocol, predicate, options);
+        const after = shifted === predicate ? before : await evaluatePredicate(web3, protocol, shifted, options);
+        result.push({ index, passedBefore: before.passed, passedAfter: after.passed, invalidated: before.passed && !after.passed });
+    }
+    return result;
+}
+
+module.exports = {
+    seriesNonceEquals,
+    seriesTimestampBelowAndNonceEquals,
+    parseSeriesNonceEquals,
+    readSeriesNonces,
+    previewAdvanceNonce,
+};
@@ -0,0 +1,114 @@
+const abiCoder = require('web3-eth-abi');
+const { decodeInteractionChain } = require('./interactionChain');
+const { decodeOrder } = require('./orderUtils');
+const { ZERO_ADDRESS, call, toBN } = require('./utils');
+
+// Memoizes registry and status reads of one run, keyed by lowercase addresses
+class WhitelistReader {
+    constructor (web3, blockNumber = 'latest') {
+        this.web3 = web3;
+        this.blockNumber = blockNumber;
+        this.registries = new Map();
+        this.statuses = new Map();
+    }
+
+    async registry (checker) {
+        const key = checker.toLowerCase();
+        if (!this.registries.has(key)) {
+            const result = await call(this.web3, checker, 'whitelistRegistry', [], [], this.blockNumber);
+            this.registries.set(key, abiCoder.decodeParameter('address', result));
+        }
+        return this.registries.get(key);
+    }
+
+    async status (registry, taker) {
+        const key = `${registry}:${taker}`.toLowerCase();
+        if (!this.statuses.has(key)) {
+            this.statuses.set(key, toBN(await call(this.web3, registry, 'status', ['address'], [taker], this.blockNumber)).toString());
+        }
+        return this.statuses.get(key);
+    }
+}
+
+// `IWhitelistRegistry.status` of every taker, `WhitelistChecker` only lets takers with status 1 fill
+async function takerStatuses (web3, registry, takers, { blockNumber } = {}) {
+    const reader = new WhitelistReader(web3, blockNumber);
+    const result = [];
+    for (const taker of takers) {
+        const status = await reader.status(registry, taker);
+        result.push({ taker, status, whitelisted: status === '1' });
+    }
+    return result;
+}
+
+// Walks `WhitelistChecker`s (addresses in `checkers`) of the order `preInteraction` chain the way the fill would and
+// returns `{ error, checks }`, `error` is 'TakerIsNotWhitelisted' when a checker would revert. Checkers after the
+// failing one are not reached and so not in `checks`
+async function predictWhitelist (web3, order, taker, { checkers = [], blockNumber } = {}) {
+    return predictWithReader(new WhitelistReader(web3, blockNumber), preInteractionHops(order, checkers), taker);
+}
+
+// `preInteraction` chain of `order` with `checkers` recognised, throws when the order does not decode
+function preInteractionHops (order, checkers) {
+    if (order.info !== undefined) {
+        return [];
+    }
+    const receivers = checkers.reduce((obj, checker) => {
+        obj[checker] = 'WhitelistChecker';
+        return obj;
+    }, {});
+    const { preInteraction, errors } = decodeOrder(order);
+    if (preInteraction === null) {
+        throw new Error(errors.join('; '));
+    }
+    return decodeInteractionChain(preInteraction, receivers);
+}
+
+async function predictWithReader (reader, hops, taker) {
+    const checks = [];
+    for (const { receiver, target } of hops) {
+        if (receiver !== 'WhitelistChecker') {
+            break;
+        }
+        const registry = await reader.registry(target);
+        const status = await reader.status(registry, taker);
+        checks.push({ checker: target, registry, status });
+        if (status !== '1') {
+            return { error: 'TakerIsNotWhitelisted', checks };
+        }
+    }
+    return { checks };
+}
+
+// Tells for every entry (`{ order }` of `Order` or `OrderRFQ`) whether `taker` may fill it:
+// `[{ index, fillable, error }]` with `error` being 'PrivateOrder', 'RFQPrivateOrder' or 'TakerIsNotWhitelisted',
+// or the decoding error message of a malformed order. Balances, predicates and remaining amounts are not checked
+async function listFillableOrders (web3, entries, taker, { checkers = [], blockNumber } = {}) {
+    const reader = new WhitelistReader(web3, blockNumber);
+    const result = [];
+    for (const [index, { order }] of entries.entries()) {
+        const isRFQ = order.info !== undefined;
+        let error;
+        if (order.allowedSender !== ZERO_ADDRESS && order.allowedSender.toLowerCase() !== taker.toLowerCase()) {
+            error = isRFQ ? 'RFQPrivateOrder' : 'PrivateOrder';
+        } else {
+            let hops;
+            try {
+                hops = preInteractionHops(order, checkers);
+            } catch (e) {
+                error = e.message;
+            }
+            if (hops !== undefined) {
+                error = (await predictWithReader(reader, hops, taker)).error;
+            }
+        }
+        result.push(error === undefined ? { index, fillable: true } : { index, fillable: false, error });
+    }
+    return result;
+}
+
+module.exports = {
+    takerStatuses,
+    predictWhitelist,
+    listFillableOrders,
+};
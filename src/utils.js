@@ -0,0 +1,59 @@
+const abiCoder = require('web3-eth-abi');
+const { BN } = require('ethereumjs-util');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function toBN (value, base) {
+    if (BN.isBN(value)) {
+        return value;
+    }
+    const s = value.toString();
+    if (base === undefined && s.startsWith('0x')) {
+        return new BN(s.substring(2), 'hex');
+    }
+    return new BN(s, base);
+}
+
+function trim0x (bigNumber) {
+    const s = bigNumber.toString();
+    if (s.startsWith('0x')) {
+        return s.substring(2);
+    }
+    return s;
+}
+
+// Calldata of the function `name`, `inputs` are ABI types or whole ABI inputs, e.g. for tuples
+function encodeCall (name, inputs, values) {
+    return abiCoder.encodeFunctionCall({
+        name,
+        type: 'function',
+        inputs: inputs.map((input, i) => typeof input === 'string' ? { name: `arg${i}`, type: input } : input),
+    }, values);
+}
+
+// `eth_call` of the function `name` taking arguments of `inputs` types, returns the raw result
+async function call (web3, to, name, inputs, values, blockNumber) {
+    return web3.eth.call({ to, data: encodeCall(name, inputs, values) }, blockNumber);
+}
+
+// Same as `Callib.staticcallForUint`: `{ success, result }`, failing unless the call returns exactly one word
+async function staticcallForUint (web3, to, data, blockNumber) {
+    try {
+        const result = await web3.eth.call({ to, data }, blockNumber);
+        if (trim0x(result).length !== 64) {
+            return { success: false, result: '0' };
+        }
+        return { success: true, result: toBN(trim0x(result), 'hex').toString() };
+    } catch (e) {
+        return { success: false, result: '0' };
+    }
+}
+
+module.exports = {
+    ZERO_ADDRESS,
+    toBN,
+    trim0x,
+    encodeCall,
+    call,
+    staticcallForUint,
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { buildDeployments, diffDeployments } = require('../src/deployments');
+
+const ROOT = path.join(__dirname, '..');
+
+// `hardhat-deploy` keeps every network in `deployments/<network>` with its chain id in `.chainId`
+function readDeployments (dir) {
+    return fs.readdirSync(dir)
+        .filter(network => fs.existsSync(path.join(dir, network, '.chainId')))
+        .map(network => ({
+            network,
+            chainId: Number(fs.readFileSync(path.join(dir, network, '.chainId'), 'utf8').trim()),
+            contracts: fs.readdirSync(path.join(dir, network))
+                .filter(file => file.endsWith('.json'))
+                .reduce((contracts, file) => {
+                    const { address, abi } = JSON.parse(fs.readFileSync(path.join(dir, network, file), 'utf8'));
+                    contracts[path.basename(file, '.json')] = { address, abi };
+                    return contracts;
+                }, {}),
+        }));
+}
+
+task('deployments', 'Regenerates src/deployments.json with addresses and ABIs from deployments/')
+    .addFlag('check', 'Fail listing the differences when the file is out of date instead of writing it')
+    .addOptionalParam('dir', 'Deployments directory', path.join(ROOT, 'deployments'), types.string)
+    .addOptionalParam('out', 'Generated file', path.join(ROOT, 'src', 'deployments.json'), types.string)
+    .setAction(async (args) => {
+        const next = buildDeployments(readDeployments(args.dir));
+        const content = JSON.stringify(next, null, 2) + '\n';
+
+        if (args.check) {
+            const current = fs.existsSync(args.out) ? JSON.parse(fs.readFileSync(args.out, 'utf8')) : { addresses: {}, abis: {} };
+            const diff = diffDeployments(current, next);
+            if (diff.length > 0) {
+                throw new Error(`${args.out} is out of date, run \`npx hardhat deployments\`:\n${diff.join('\n')}`);
+            }
+            console.log(`${args.out} is up to date`);
+            return diff;
+        }
+        fs.writeFileSync(args.out, content);
+        console.log(`Wrote ${Object.keys(next.addresses).length} networks to ${args.out}`);
+        return [];
+    });
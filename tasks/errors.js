@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+const { task } = require('hardhat/config');
+const { buildErrorTable } = require('../src/errorDecoder');
+const explanations = require('../src/errorExplanations');
+
+const ERRORS_FILE = path.join(__dirname, '..', 'src', 'errors.json');
+
+task('errors', 'Regenerates src/errors.json with custom errors of protocol contracts, helpers and libraries')
+    .addFlag('check', 'Fail when src/errors.json is out of date instead of writing it')
+    .setAction(async (args, hre) => {
+        await hre.run('compile', { quiet: true });
+        const names = (await hre.artifacts.getAllFullyQualifiedNames())
+            .filter(name => name.startsWith('contracts/') && !name.startsWith('contracts/mocks/') && !name.startsWith('contracts/tests/'));
+        const artifacts = await Promise.all(names.map(name => hre.artifacts.readArtifact(name)));
+        const content = JSON.stringify(buildErrorTable(artifacts, explanations), null, 2) + '\n';
+
+        if (args.check) {
+            if (!fs.existsSync(ERRORS_FILE) || fs.readFileSync(ERRORS_FILE, 'utf8') !== content) {
+                throw new Error('src/errors.json is out of date, run `npx hardhat errors`');
+            }
+            console.log('src/errors.json is up to date');
+            return content;
+        }
+        fs.writeFileSync(ERRORS_FILE, content);
+        console.log(`Wrote ${Object.keys(JSON.parse(content)).length} errors to src/errors.json`);
+        return content;
+    });
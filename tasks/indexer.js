@@ -0,0 +1,31 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { EventIndexer } = require('../src');
+
+task('index', 'Indexes order fills, cancellations and nonce increases into a resumable state file')
+    .addParam('state', 'State file, created when missing and updated after every run')
+    .addOptionalParam('fromBlock', 'First block to scan when the state file is missing', 0, types.int)
+    .addOptionalParam('confirmations', 'Blocks to stay behind the head', 0, types.int)
+    .addOptionalParam('protocol', 'LimitOrderProtocol address, deployment by default')
+    .addOptionalParam('seriesNonceManager', 'SeriesNonceManager address, deployment by default if any')
+    .setAction(async (args, hre) => {
+        const protocol = args.protocol || (await hre.deployments.get('LimitOrderProtocol')).address;
+        const seriesNonceManager = args.seriesNonceManager || ((await hre.deployments.getOrNull('SeriesNonceManager')) || {}).address;
+        const state = fs.existsSync(args.state) ? JSON.parse(fs.readFileSync(args.state, 'utf8')) : undefined;
+
+        const indexer = new EventIndexer(hre.web3, {
+            protocol,
+            seriesNonceManager,
+            fromBlock: args.fromBlock,
+            confirmations: args.confirmations,
+            state,
+        });
+        const { fromBlock, toBlock, rolledBackTo } = await indexer.sync();
+        fs.writeFileSync(args.state, JSON.stringify(indexer.state, null, 2) + '\n');
+
+        if (rolledBackTo !== undefined) {
+            console.log(`Reorg detected, rolled back to block ${rolledBackTo}`);
+        }
+        console.log(`Indexed blocks ${fromBlock}..${toBlock}, ${Object.keys(indexer.state.orders).length} orders known`);
+        return indexer.state;
+    });
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const {
+    buildOrder,
+    buildOrderData,
+    buildOrderFile,
+    buildOrderRFQ,
+    buildCancelBatches,
+    buildOrderRFQData,
+    decodeInfo,
+    detectProtocolFlavour,
+    encodeInfo,
+    hashOrder,
+    hashOrderRFQ,
+    invalidatorPosition,
+    isInvalidated,
+    orderFileFlavour,
+    readInvalidators,
+    toBN,
+    validateOrderFile,
+    ZERO_ADDRESS,
+} = require('../src');
+
+async function getProtocol (hre, protocol) {
+    if (protocol === undefined) {
+        const deployment = await hre.deployments.getOrNull('LimitOrderProtocol');
+        if (deployment === null) {
+            throw new Error(`LimitOrderProtocol is not deployed to '${hre.network.name}', pass --protocol explicitly`);
+        }
+        protocol = deployment.address;
+    }
+    return hre.artifacts.require('LimitOrderProtocol').at(protocol);
+}
+
+async function getAccount (hre, from) {
+    if (from !== undefined) {
+        return from;
+    }
+    const [account] = await hre.web3.eth.getAccounts();
+    return account;
+}
+
+function readOrderFile (file, type) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateOrderFile(content);
+    if (errors.length > 0) {
+        throw new Error(`Invalid order file ${file}:\n${errors.join('\n')}`);
+    }
+    if (content.type !== type) {
+        throw new Error(`${file} contains ${content.type} instead of ${type}`);
+    }
+    return content;
+}
+
+// Contract of the file's domain, which must be on the current network to send transactions to
+async function getFileProtocol (hre, file) {
+    const chainId = await hre.web3.eth.getChainId();
+    if (chainId !== file.chainId) {
+        throw new Error(`Order is signed for chain ${file.chainId}, but '${hre.network.name}' is chain ${chainId}`);
+    }
+    return getProtocol(hre, file.verifyingContract);
+}
+
+function output (result, out) {
+    if (out !== undefined) {
+        fs.writeFileSync(out, JSON.stringify(result, null, 2) + '\n');
+    } else {
+        console.log(JSON.stringify(result, null, 2));
+    }
+    return result;
+}
+
+async function signTypedData (hre, signer, data) {
+    return hre.network.provider.send('eth_signTypedData_v4', [signer, JSON.stringify(data)]);
+}
+
+function orderInteractionParams (definition) {
+    return definition
+        .addOptionalParam('makerAssetData', 'Maker asset transferFrom suffix', '0x')
+        .addOptionalParam('takerAssetData', 'Taker asset transferFrom suffix', '0x')
+        .addOptionalParam('getMakingAmount', 'Making amount getter, "" for frozen amounts', '0x')
+        .addOptionalParam('getTakingAmount', 'Taking amount getter, "" for frozen amounts', '0x')
+        .addOptionalParam('predicate', 'Predicate calldata', '0x')
+        .addOptionalParam('permit', 'Maker permit (token address + permit calldata)', '0x')
+        .addOptionalParam('preInteraction', 'Pre-interaction (target address + calldata)', '0x')
+        .addOptionalParam('postInteraction', 'Post-interaction (target address + calldata)', '0x');
+}
+
+orderInteractionParams(
+    task('order:create', 'Builds a limit order and writes it as an order file')
+        .addParam('makerAsset', 'Maker asset address')
+        .addParam('takerAsset', 'Taker asset address')
+        .addParam('makingAmount', 'Making amount')
+        .addParam('takingAmount', 'Taking amount')
+        .addOptionalParam('maker', 'Maker address, first account by default')
+        .addOptionalParam('receiver', 'Receiver of taker asset', ZERO_ADDRESS)
+        .addOptionalParam('allowedSender', 'The only allowed taker', ZERO_ADDRESS)
+        .addOptionalParam('salt', 'Order salt', '1')
+        .addOptionalParam('protocol', 'LimitOrderProtocol address, deployment by default')
+        .addOptionalParam('out', 'Output file, stdout by default'),
+).setAction(async (args, hre) => {
+    const protocol = await getProtocol(hre, args.protocol);
+    const order = buildOrder(
+        {
+            salt: args.salt,
+            makerAsset: args.makerAsset,
+            takerAsset: args.takerAsset,
+            makingAmount: args.makingAmount,
+            takingAmount: args.takingAmount,
+            allowedSender: args.allowedSender,
+            receiver: args.receiver,
+            from: await getAccount(hre, args.maker),
+        },
+        args,
+    );
+    const chainId = await hre.web3.eth.getChainId();
+    const flavour = await detectProtocolFlavour(hre.web3, protocol.address, chainId);
+    return output(buildOrderFile(order, { chainId, verifyingContract: protocol.address, flavour }), args.out);
+});
+
+task('order:hash', 'Prints limit order hash')
+    .addParam('order', 'Order file')
+    .setAction(async (args) => {
+        const file = readOrderFile(args.order, 'Order');
+        const orderHash = hashOrder(file.order, file.chainId, file.verifyingContract, orderFileFlavour(file));
+        console.log(orderHash);
+        return orderHash;
+    });
+
+task('order:sign', 'Signs limit order with maker account')
+    .addParam('order', 'Order file')
+    .addOptionalParam('out', 'Output file, overwrites order file by default')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'Order');
+        const data = buildOrderData(file.chainId, file.verifyingContract, file.order, orderFileFlavour(file));
+        const signature = await signTypedData(hre, file.order.maker, data);
+        return output({ ...file, signature }, args.out === undefined ? args.order : args.out);
+    });
+
+task('order:fill', 'Fills signed limit order')
+    .addParam('order', 'Signed order file')
+    .addOptionalParam('makingAmount', 'Making amount to fill', '0')
+    .addOptionalParam('takingAmount', 'Taking amount to fill', '0')
+    .addParam('threshold', 'Maximum taking amount when filling by making amount, minimum making amount otherwise')
+    .addOptionalParam('interaction', 'Taker interaction (target address + calldata)', '0x')
+    .addOptionalParam('target', 'Receiver of maker asset, taker by default')
+    .addOptionalParam('from', 'Taker address, first account by default')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'Order');
+        const protocol = await getFileProtocol(hre, file);
+        const from = await getAccount(hre, args.from);
+        const receipt = await protocol.fillOrderTo(
+            file.order, file.signature, args.interaction, args.makingAmount, args.takingAmount, args.threshold, args.target || from, { from },
+        );
+        const { remaining } = receipt.logs.find(log => log.event === 'OrderFilled').args;
+        console.log(`Filled in ${receipt.tx}, remaining ${remaining}`);
+        return receipt;
+    });
+
+task('order:cancel', 'Cancels limit order with maker account')
+    .addParam('order', 'Order file')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'Order');
+        const protocol = await getFileProtocol(hre, file);
+        const receipt = await protocol.cancelOrder(file.order, { from: file.order.maker });
+        console.log(`Cancelled in ${receipt.tx}`);
+        return receipt;
+    });
+
+task('order:remaining', 'Prints unfilled making amount of limit order')
+    .addParam('order', 'Order file')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'Order');
+        const protocol = await getFileProtocol(hre, file);
+        const remainingRaw = await protocol.remainingRaw(
+            hashOrder(file.order, file.chainId, file.verifyingContract, orderFileFlavour(file)),
+        );
+        const remaining = remainingRaw.isZero() ? toBN(file.order.makingAmount) : remainingRaw.subn(1);
+        console.log(remainingRaw.isZero() ? `${remaining} (not filled yet)` : remaining.toString());
+        return remaining.toString();
+    });
+
+task('rfq:create', 'Builds an RFQ order and writes it as an order file')
+    .addParam('id', 'Order id, unique per maker', undefined, types.int)
+    .addOptionalParam('expiration', 'Expiration timestamp, 0 for none', 0, types.int)
+    .addParam('makerAsset', 'Maker asset address')
+    .addParam('takerAsset', 'Taker asset address')
+    .addParam('makingAmount', 'Making amount')
+    .addParam('takingAmount', 'Taking amount')
+    .addOptionalParam('maker', 'Maker address, first account by default')
+    .addOptionalParam('allowedSender', 'The only allowed taker', ZERO_ADDRESS)
+    .addOptionalParam('protocol', 'LimitOrderProtocol address, deployment by default')
+    .addOptionalParam('out', 'Output file, stdout by default')
+    .setAction(async (args, hre) => {
+        const protocol = await getProtocol(hre, args.protocol);
+        if (await detectProtocolFlavour(hre.web3, protocol.address) !== 'standard') {
+            throw new Error(`${protocol.address} does not support RFQ orders`);
+        }
+        const info = encodeInfo(args.id, args.expiration);
+        const order = buildOrderRFQ(
+            info,
+            args.makerAsset,
+            args.takerAsset,
+            args.makingAmount,
+            args.takingAmount,
+            await getAccount(hre, args.maker),
+            args.allowedSender,
+        );
+        const chainId = await hre.web3.eth.getChainId();
+        return output(buildOrderFile(order, { chainId, verifyingContract: protocol.address }), args.out);
+    });
+
+task('rfq:hash', 'Prints RFQ order hash')
+    .addParam('order', 'Order file')
+    .setAction(async (args) => {
+        const { order, chainId, verifyingContract } = readOrderFile(args.order, 'OrderRFQ');
+        const orderHash = hashOrderRFQ(order, chainId, verifyingContract);
+        console.log(orderHash);
+        return orderHash;
+    });
+
+task('rfq:sign', 'Signs RFQ order with maker account')
+    .addParam('order', 'Order file')
+    .addOptionalParam('out', 'Output file, overwrites order file by default')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'OrderRFQ');
+        const data = buildOrderRFQData(file.chainId, file.verifyingContract, file.order);
+        const signature = await signTypedData(hre, file.order.maker, data);
+        return output({ ...file, signature }, args.out === undefined ? args.order : args.out);
+    });
+
+task('rfq:fill', 'Fills signed RFQ order')
+    .addParam('order', 'Signed order file')
+    .addOptionalParam('makingAmount', 'Making amount to fill, both zero amounts fill the whole order', '0')
+    .addOptionalParam('takingAmount', 'Taking amount to fill, both zero amounts fill the whole order', '0')
+    .addOptionalParam('target', 'Receiver of maker asset, taker by default')
+    .addOptionalParam('from', 'Taker address, first account by default')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'OrderRFQ');
+        const protocol = await getFileProtocol(hre, file);
+        const from = await getAccount(hre, args.from);
+        const receipt = await protocol.fillOrderRFQTo(
+            file.order, file.signature, args.makingAmount, args.takingAmount, args.target || from, { from },
+        );
+        const { makingAmount } = receipt.logs.find(log => log.event === 'OrderFilledRFQ').args;
+        console.log(`Filled ${makingAmount} in ${receipt.tx}`);
+        return receipt;
+    });
+
+task('rfq:cancel', 'Cancels RFQ order with maker account')
+    .addParam('order', 'Order file')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'OrderRFQ');
+        const protocol = await getFileProtocol(hre, file);
+        const receipt = await protocol.methods['cancelOrderRFQ(uint256)'](file.order.info, { from: file.order.maker });
+        console.log(`Cancelled in ${receipt.tx}`);
+        return receipt;
+    });
+
+task('rfq:status', 'Prints whether RFQ order id is already filled or cancelled')
+    .addParam('order', 'Order file')
+    .setAction(async (args, hre) => {
+        const file = readOrderFile(args.order, 'OrderRFQ');
+        const protocol = await getFileProtocol(hre, file);
+        const { slot } = invalidatorPosition(file.order.info);
+        const invalidator = await protocol.invalidatorForOrderRFQ(file.order.maker, slot);
+        const invalidated = isInvalidated(invalidator.toString(), file.order.info);
+        const expiration = toBN(decodeInfo(file.order.info).expiration);
+        const { timestamp } = await hre.web3.eth.getBlock('latest');
+        const expired = !expiration.isZero() && expiration.lt(toBN(timestamp));
+        const status = invalidated ? 'invalidated' : expired ? 'expired' : 'active';
+        console.log(status);
+        return status;
+    });
+
+task('rfq:cancel-range', 'Cancels every not yet used RFQ order id in the range, one transaction per 256 ids')
+    .addParam('fromId', 'First order id')
+    .addParam('toId', 'Last order id, inclusive')
+    .addOptionalParam('maker', 'Maker address, first account by default')
+    .addOptionalParam('protocol', 'LimitOrderProtocol address, deployment by default')
+    .setAction(async (args, hre) => {
+        const protocol = await getProtocol(hre, args.protocol);
+        const maker = await getAccount(hre, args.maker);
+        const invalidators = await readInvalidators(hre.web3, protocol.address, maker, args.fromId, args.toId);
+        const receipts = [];
+        for (const { orderInfo, additionalMask } of buildCancelBatches(args.fromId, args.toId, invalidators)) {
+            const receipt = await protocol.methods['cancelOrderRFQ(uint256,uint256)'](orderInfo, additionalMask, { from: maker });
+            console.log(`Cancelled slot ${invalidatorPosition(orderInfo).slot} in ${receipt.tx}`);
+            receipts.push(receipt);
+        }
+        return receipts;
+    });
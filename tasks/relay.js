@@ -0,0 +1,29 @@
+const { task, types } = require('hardhat/config');
+const { OrderBook, createRelayServer, detectProtocolFlavour } = require('../src');
+
+task('relay', 'Serves an in-memory order book for the network\'s LimitOrderProtocol')
+    .addOptionalParam('port', 'HTTP port', 8080, types.int)
+    .addOptionalParam('protocol', 'LimitOrderProtocol address, deployment by default')
+    .addOptionalParam('pruneInterval', 'Seconds between on-chain state checks', 15, types.int)
+    .setAction(async (args, hre) => {
+        const protocol = args.protocol || (await hre.deployments.get('LimitOrderProtocol')).address;
+        const chainId = await hre.web3.eth.getChainId();
+        const flavour = await detectProtocolFlavour(hre.web3, protocol, chainId);
+        const orderBook = new OrderBook(hre.web3, { chainId, verifyingContract: protocol, flavour });
+        const server = createRelayServer(orderBook);
+
+        const timer = setInterval(async () => {
+            try {
+                for (const { orderHash, reason } of await orderBook.prune()) {
+                    console.log(`Removed ${orderHash}: ${reason}`);
+                }
+            } catch (e) {
+                console.error(`Prune failed: ${e.message}`);
+            }
+        }, args.pruneInterval * 1000);
+
+        await new Promise(resolve => server.listen(args.port, resolve));
+        console.log(`Relaying orders of ${flavour} protocol ${protocol} on chain ${chainId} at http://localhost:${args.port}/orders`);
+        await new Promise(resolve => server.on('close', resolve));
+        clearInterval(timer);
+    });
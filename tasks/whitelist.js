@@ -0,0 +1,50 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { listFillableOrders, takerStatuses, validateOrderFile } = require('../src');
+
+async function getCheckers (hre, checkers) {
+    if (checkers !== undefined) {
+        return checkers.split(',').filter(checker => checker !== '');
+    }
+    const deployment = await hre.deployments.getOrNull('WhitelistChecker');
+    return deployment === null ? [] : [deployment.address];
+}
+
+task('whitelist:status', 'Prints IWhitelistRegistry.status of takers')
+    .addOptionalParam('registry', 'Whitelist registry address, the one of --checker by default')
+    .addOptionalParam('checker', 'WhitelistChecker address to read the registry from, deployment by default')
+    .addVariadicPositionalParam('takers', 'Taker addresses', undefined, types.string)
+    .setAction(async (args, hre) => {
+        let registry = args.registry;
+        if (registry === undefined) {
+            const [checker] = await getCheckers(hre, args.checker);
+            if (checker === undefined) {
+                throw new Error(`WhitelistChecker is not deployed to '${hre.network.name}', pass --registry or --checker explicitly`);
+            }
+            registry = await (await hre.artifacts.require('WhitelistChecker').at(checker)).whitelistRegistry();
+        }
+        const statuses = await takerStatuses(hre.web3, registry, args.takers);
+        console.log(JSON.stringify(statuses, null, 2));
+        return statuses;
+    });
+
+task('whitelist:fillable', 'Lists which of the order files the taker is allowed to fill')
+    .addOptionalParam('taker', 'Taker address, first account by default')
+    .addOptionalParam('checkers', 'Comma separated WhitelistChecker addresses, deployment by default')
+    .addVariadicPositionalParam('orders', 'Order files', undefined, types.inputFile)
+    .setAction(async (args, hre) => {
+        const taker = args.taker || (await hre.web3.eth.getAccounts())[0];
+        const entries = args.orders.map(file => {
+            const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const errors = validateOrderFile(content);
+            if (errors.length > 0) {
+                throw new Error(`Invalid order file ${file}:\n${errors.join('\n')}`);
+            }
+            return content;
+        });
+
+        const result = (await listFillableOrders(hre.web3, entries, taker, { checkers: await getCheckers(hre, args.checkers) }))
+            .map(({ index, ...rest }) => ({ file: args.orders[index], ...rest }));
+        console.log(JSON.stringify(result, null, 2));
+        return result;
+    });
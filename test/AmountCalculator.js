@@ -0,0 +1,112 @@
+const { expect, trim0x } = require('@1inch/solidity-utils');
+const { buildOrder, signOrder, quoteFill } = require('../src');
+const { addr0Wallet, addr1Wallet, cutLastArg } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('AmountCalculator', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    const makeOrder = (interactions = {}) => {
+        const order = buildOrder(
+            {
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: 1000,
+                takingAmount: 3,
+                from: addr1,
+            },
+            interactions,
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    const remainingOf = async (order) => {
+        const raw = await this.swap.remainingRaw(await this.swap.hashOrder(order));
+        return raw.isZero() ? undefined : raw.subn(1).toString();
+    };
+
+    const expectSameAsFill = async ({ order, signature }, makingAmount, takingAmount, threshold) => {
+        const quote = await quoteFill(order, await remainingOf(order), { makingAmount, takingAmount, threshold, web3 });
+        const fill = this.swap.fillOrder.call(order, signature, '0x', makingAmount, takingAmount, threshold);
+        if (quote.error !== undefined) {
+            await expect(fill).to.eventually.be.rejectedWith(`${quote.error}()`);
+        } else {
+            const result = await fill;
+            expect([quote.makingAmount, quote.takingAmount]).to.deep.equal([result[0].toString(), result[1].toString()]);
+        }
+        return quote;
+    };
+
+    it('should quote linear fills', async () => {
+        const order = makeOrder();
+
+        expect(await expectSameAsFill(order, 500, 0, 2)).to.deep.equal({ makingAmount: '500', takingAmount: '2', remaining: '500' });
+        expect(await expectSameAsFill(order, 0, 1, 333)).to.deep.equal({ makingAmount: '333', takingAmount: '1', remaining: '667' });
+    });
+
+    it('should clamp to remaining amount', async () => {
+        const order = makeOrder();
+        await this.swap.fillOrder(order.order, order.signature, '0x', 900, 0, 3);
+
+        expect(await expectSameAsFill(order, 500, 0, 5)).to.deep.equal({ makingAmount: '100', takingAmount: '1', remaining: '0' });
+        expect(await expectSameAsFill(order, 0, 3, 1)).to.deep.equal({ makingAmount: '100', takingAmount: '1', remaining: '0' });
+    });
+
+    it('should predict threshold errors', async () => {
+        const order = makeOrder();
+
+        expect((await expectSameAsFill(order, 500, 0, 1)).error).to.equal('TakingAmountTooHigh');
+        expect((await expectSameAsFill(order, 0, 1, 334)).error).to.equal('MakingAmountTooLow');
+        expect((await expectSameAsFill(order, 1, 1, 1)).error).to.equal('OnlyOneAmountShouldBeZero');
+        expect((await expectSameAsFill(order, 0, 0, 1)).error).to.equal('OnlyOneAmountShouldBeZero');
+    });
+
+    it('should respect frozen getters', async () => {
+        const order = makeOrder({ getMakingAmount: '', getTakingAmount: '' });
+
+        expect(await expectSameAsFill(order, 1000, 0, 3)).to.deep.equal({ makingAmount: '1000', takingAmount: '3', remaining: '0' });
+        expect((await expectSameAsFill(order, 500, 0, 3)).error).to.equal('WrongAmount');
+    });
+
+    it('should call custom getters', async () => {
+        const getter = (method) => this.swap.address + trim0x(cutLastArg(this.swap.contract.methods[method](1000, 6, 0).encodeABI()));
+        const order = makeOrder({ getMakingAmount: getter('getMakingAmount'), getTakingAmount: getter('getTakingAmount') });
+
+        expect(await expectSameAsFill(order, 500, 0, 3)).to.deep.equal({ makingAmount: '500', takingAmount: '3', remaining: '500' });
+        expect(await expectSameAsFill(order, 0, 3, 500)).to.deep.equal({ makingAmount: '500', takingAmount: '3', remaining: '500' });
+    });
+
+    it('should name getters not covered by interactions', async () => {
+        const getter = this.swap.address + trim0x(cutLastArg(this.swap.contract.methods.getTakingAmount(1000, 6, 0).encodeABI()));
+        const { order } = makeOrder({ getTakingAmount: getter });
+        const truncated = { ...order, interactions: order.interactions.substring(0, 42) };
+
+        await expect(quoteFill(truncated, undefined, { makingAmount: 500, web3 }))
+            .to.eventually.be.rejectedWith('Malformed order getTakingAmount: offset 88 exceeds interactions length 20');
+    });
+
+    it('should report filled order', async () => {
+        const order = makeOrder();
+        await this.swap.fillOrder(order.order, order.signature, '0x', 1000, 0, 3);
+
+        expect((await expectSameAsFill(order, 1, 0, 1)).error).to.equal('RemainingAmountIsZero');
+    });
+});
@@ -0,0 +1,149 @@
+const { expect, time } = require('@1inch/solidity-utils');
+const {
+    buildOrder,
+    buildOrderRFQ,
+    encodeInfo,
+    planCancellation,
+    predicates,
+    seriesNonceEquals,
+    signOrder,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const LimitOrderProtocolPro = artifacts.require('LimitOrderProtocolPro');
+const SeriesNonceManager = artifacts.require('SeriesNonceManager');
+
+describe('CancellationPlanner', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const { nonceEquals, or, timestampBelow, timestampBelowAndNonceEquals } = predicates;
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.seriesNonceManager = await SeriesNonceManager.new();
+
+        await this.dai.mint(addr1, '100');
+        await this.weth.mint(addr0, '100');
+        await this.dai.approve(this.swap.address, '100', { from: addr1 });
+        await this.weth.approve(this.swap.address, '100');
+    });
+
+    const orderWith = (predicate, salt) => buildOrder(
+        { salt, makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr1 },
+        { predicate },
+    );
+
+    const rfqOrder = (info) => buildOrderRFQ(info, this.dai.address, this.weth.address, 1, 1, addr1);
+
+    const plan = (entries, options = {}) => planCancellation(web3, entries, {
+        protocol: this.swap.address,
+        seriesNonceManager: this.seriesNonceManager.address,
+        ...options,
+    });
+
+    const entries = async () => {
+        const snm = this.seriesNonceManager.address;
+        const later = (await time.latest()).addn(1000);
+        return [
+            orderWith(nonceEquals(addr1, 0), '1'),
+            orderWith(timestampBelowAndNonceEquals(later, 0, addr1), '2'),
+            orderWith(nonceEquals(addr1, 1), '3'),
+            orderWith(seriesNonceEquals(snm, 2, addr1, 0), '4'),
+            orderWith(seriesNonceEquals(snm, 2, addr1, 0), '5'),
+            orderWith('0x', '6'),
+            orderWith(or(timestampBelow(later), nonceEquals(addr1, 0)), '7'),
+            orderWith('0x', '8'),
+            rfqOrder(encodeInfo(1)),
+            rfqOrder(encodeInfo(2, later)),
+            rfqOrder(encodeInfo(300)),
+            rfqOrder(encodeInfo(5, 1)),
+        ].map(order => ({ order }));
+    };
+
+    it('should pick nonce bumps, RFQ masks and cancels', async () => {
+        const all = await entries();
+        const { order: filled } = all[7];
+        await this.swap.fillOrder(filled, signOrder(filled, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()), '0x', 1, 0, 1);
+        const result = await plan(all);
+
+        expect(result.transactions.map(({ to, method, args, orders }) => [to, method, args.length === 1 && typeof args[0] !== 'string' ? ['order'] : args, orders]))
+            .to.deep.equal([
+                [this.swap.address, 'advanceNonce', ['2'], [0, 1, 2]],
+                [this.seriesNonceManager.address, 'increaseNonce', ['2'], [3, 4]],
+                [this.swap.address, 'cancelOrderRFQ', ['1', '6'], [8, 9]],
+                [this.swap.address, 'cancelOrderRFQ', ['300'], [10]],
+                [this.swap.address, 'cancelOrder', ['order'], [5]],
+                [this.swap.address, 'cancelOrder', ['order'], [6]],
+            ]);
+        expect(result.orders.map(({ method, transactions, reason }) => method === 'none' ? reason : [method, transactions])).to.deep.equal([
+            ['nonce', [0]],
+            ['nonce', [0]],
+            ['nonce', [0]],
+            ['seriesNonce', [1]],
+            ['seriesNonce', [1]],
+            ['cancelOrder', [4]],
+            ['cancelOrder', [5]],
+            'filled or cancelled',
+            ['cancelOrderRFQ', [2]],
+            ['cancelOrderRFQ', [2]],
+            ['cancelOrderRFQ', [3]],
+            'expired',
+        ]);
+        expect(result.gas).to.equal(result.transactions.reduce((sum, { gas }) => sum + gas, 0));
+
+        for (const { to, data, gas } of result.transactions) {
+            await web3.eth.sendTransaction({ from: addr1, to, data, gas });
+        }
+        const again = await plan(all);
+        expect(again.transactions).to.be.empty;
+        expect(again.orders.map(({ index, reason }) => [index, reason])).to.deep.equal([
+            [0, 'nonce already advanced'],
+            [1, 'nonce already advanced'],
+            [2, 'nonce already advanced'],
+            [3, 'nonce already advanced'],
+            [4, 'nonce already advanced'],
+            [5, 'filled or cancelled'],
+            [6, 'filled or cancelled'],
+            [7, 'filled or cancelled'],
+            [8, 'filled or cancelled'],
+            [9, 'filled or cancelled'],
+            [10, 'filled or cancelled'],
+            [11, 'expired'],
+        ]);
+    });
+
+    it('should hash orders for the Pro protocol domain', async () => {
+        const pro = await LimitOrderProtocolPro.new();
+        await this.dai.approve(pro.address, '100', { from: addr1 });
+        await this.weth.approve(pro.address, '100');
+        const [filled, open] = [orderWith('0x', '1'), orderWith('0x', '2')];
+        await pro.fillOrder(filled, signOrder(filled, this.chainId, pro.address, addr1Wallet.getPrivateKey(), 'pro'), '0x', 1, 0, 1);
+
+        const result = await plan([{ order: filled }, { order: open }], { protocol: pro.address });
+        expect(result.orders.map(({ index, method, reason }) => [index, method, reason])).to.deep.equal([
+            [0, 'none', 'filled or cancelled'],
+            [1, 'cancelOrder', undefined],
+        ]);
+    });
+
+    it('should not bump nonces of kept orders', async () => {
+        const all = await entries();
+        const result = await plan(all.slice(0, 5), { keep: [{ order: orderWith(or(timestampBelow(1), nonceEquals(addr1, 0)), '9') }] });
+
+        expect(result.transactions.map(({ method, orders }) => [method, orders])).to.deep.equal([
+            ['increaseNonce', [3, 4]],
+            ['cancelOrder', [0]],
+            ['cancelOrder', [1]],
+            ['cancelOrder', [2]],
+        ]);
+        await expect(plan([{ order: buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr0 }) }, ...all]))
+            .to.eventually.be.rejectedWith(`Order 1 is not made by ${addr0}`);
+    });
+});
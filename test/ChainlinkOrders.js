@@ -0,0 +1,133 @@
+const { expect, ether, toBN } = require('@1inch/solidity-utils');
+const { crossOracleOrder, oracleLimitOrder, signOrder, stopLossOrder, takeProfitOrder } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const AggregatorMock = artifacts.require('AggregatorMock');
+const ChainlinkCalculator = artifacts.require('ChainlinkCalculator');
+
+describe('ChainlinkOrders', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const inchPrice = toBN('1577615249227853');
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.inch = await TokenMock.new('1INCH', '1INCH');
+
+        this.swap = await LimitOrderProtocol.new();
+        this.chainlink = await ChainlinkCalculator.new();
+
+        for (const token of [this.dai, this.weth, this.inch]) {
+            await token.mint(addr0, ether('1000000'));
+            await token.mint(addr1, ether('1000000'));
+            await token.approve(this.swap.address, ether('1000000'));
+            await token.approve(this.swap.address, ether('1000000'), { from: addr1 });
+        }
+
+        this.daiOracle = await AggregatorMock.new(ether('0.00025'));
+        this.inchOracle = await AggregatorMock.new(inchPrice);
+    });
+
+    const sign = (order) => signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+    const inchForDai = () => ({
+        makerAsset: this.inch.address,
+        takerAsset: this.dai.address,
+        makingAmount: ether('100').toString(),
+        takingAmount: ether('631').toString(),
+        from: addr1,
+    });
+
+    it('oracleLimitOrder should price by oracle with spreads', async () => {
+        // chainlink rate is 1 eth = 4000 dai
+        const order = oracleLimitOrder(
+            {
+                makerAsset: this.weth.address,
+                takerAsset: this.dai.address,
+                makingAmount: ether('1').toString(),
+                takingAmount: ether('4000').toString(),
+                from: addr1,
+            },
+            {
+                chainlink: this.chainlink.address,
+                oracle: this.daiOracle.address,
+                makingSpread: '990000000',
+                takingSpread: '1010000000',
+            },
+        );
+
+        const byMaking = await this.swap.fillOrder.call(order, sign(order), '0x', ether('1'), 0, ether('4040'));
+        expect(byMaking[1]).to.be.bignumber.equal(ether('4040'));
+        const byTaking = await this.swap.fillOrder.call(order, sign(order), '0x', 0, ether('4000'), ether('0.99'));
+        expect(byTaking[0]).to.be.bignumber.equal(ether('0.99'));
+    });
+
+    it('crossOracleOrder should price by two oracles', async () => {
+        const order = crossOracleOrder(inchForDai(), {
+            chainlink: this.chainlink.address,
+            makerOracle: this.inchOracle.address,
+            takerOracle: this.daiOracle.address,
+        });
+
+        const byMaking = await this.swap.fillOrder.call(order, sign(order), '0x', ether('100'), 0, ether('632'));
+        expect(byMaking[1]).to.be.bignumber.equal(ether('100').mul(inchPrice).div(ether('0.00025')));
+        const byTaking = await this.swap.fillOrder.call(order, sign(order), '0x', 0, ether('631'), ether('99'));
+        expect(byTaking[0]).to.be.bignumber.equal(ether('631').mul(ether('0.00025')).div(inchPrice));
+    });
+
+    it('crossOracleOrder should scale by decimals difference', async () => {
+        const order = crossOracleOrder(inchForDai(), {
+            chainlink: this.chainlink.address,
+            makerOracle: this.inchOracle.address,
+            takerOracle: this.daiOracle.address,
+            decimalsScale: 12,
+        });
+
+        const byMaking = await this.swap.fillOrder.call(order, sign(order), '0x', ether('100'), 0, ether('1'));
+        expect(byMaking[1]).to.be.bignumber.equal(ether('100').mul(inchPrice).div(ether('0.00025')).div(ether('0.000001')));
+    });
+
+    it('stopLossOrder should be fillable only below threshold', async () => {
+        const price = { chainlink: this.chainlink.address, oracle: this.inchOracle.address, oracle2: this.daiOracle.address };
+        const order = stopLossOrder(inchForDai(), { ...price, threshold: ether('6.32') });
+        await this.swap.fillOrder(order, sign(order), '0x', ether('100'), 0, ether('631'));
+
+        const late = stopLossOrder({ ...inchForDai(), salt: '2' }, { ...price, threshold: ether('6.31') });
+        await expect(this.swap.fillOrder(late, sign(late), '0x', ether('100'), 0, ether('631')))
+            .to.eventually.be.rejectedWith('PredicateIsNotTrue()');
+    });
+
+    it('takeProfitOrder should be fillable only above threshold', async () => {
+        const params = {
+            makerAsset: this.weth.address,
+            takerAsset: this.dai.address,
+            makingAmount: ether('1').toString(),
+            takingAmount: ether('4000').toString(),
+            from: addr1,
+        };
+        const price = { chainlink: this.chainlink.address, oracle: this.daiOracle.address, inverse: true };
+        const order = takeProfitOrder(params, { ...price, threshold: ether('3999') });
+        await this.swap.fillOrder(order, sign(order), '0x', ether('1'), 0, ether('4000'));
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal(ether('1000001'));
+
+        const early = takeProfitOrder({ ...params, salt: '2' }, { ...price, threshold: ether('4001') });
+        await expect(this.swap.fillOrder(early, sign(early), '0x', ether('1'), 0, ether('4000')))
+            .to.eventually.be.rejectedWith('PredicateIsNotTrue()');
+    });
+
+    it('should keep existing predicate', async () => {
+        const params = { ...inchForDai(), salt: '3' };
+        const price = { chainlink: this.chainlink.address, oracle: this.inchOracle.address, oracle2: this.daiOracle.address, threshold: ether('6.32') };
+        const expired = this.swap.contract.methods.timestampBelow(1).encodeABI();
+        const order = stopLossOrder(params, price, { predicate: expired });
+
+        await expect(this.swap.fillOrder(order, sign(order), '0x', ether('100'), 0, ether('631')))
+            .to.eventually.be.rejectedWith('PredicateIsNotTrue()');
+    });
+});
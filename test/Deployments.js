@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('@1inch/solidity-utils');
+const { run } = require('hardhat');
+const { addresses, buildDeployments, diffDeployments, getAbi, getAddress } = require('../src');
+
+describe('Deployments', async () => {
+    const doublePriceInputs = (abi) => abi.find(({ name }) => name === 'doublePrice').inputs.map(({ name }) => name);
+
+    beforeEach(async () => {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lop-deployments-'));
+    });
+
+    afterEach(async () => {
+        fs.rmSync(this.dir, { recursive: true });
+    });
+
+    it('should keep deployments.json in sync with deployments', async () => {
+        await run('deployments', { check: true });
+    });
+
+    it('should expose addresses by chain id', async () => {
+        expect(addresses[1].LimitOrderProtocolPro).to.equal('0x5349Df28F8353dC8049EDF11FAAE2D3F3b3346de');
+        expect(getAddress(137, 'SeriesNonceManager')).to.equal('0x302a6eda4e2b2c563a80cC17bd80A1251B986677');
+        expect(() => getAddress(137, 'WhitelistChecker')).to.throw('WhitelistChecker is not deployed on chain 137');
+    });
+
+    it('should expose ABI deployed on each chain', async () => {
+        expect(doublePriceInputs(getAbi('LimitOrderProtocol'))).to.deep.equal(['oracle1', 'oracle2', 'spread', 'amount']);
+        expect(doublePriceInputs(getAbi('LimitOrderProtocol', 1))).to.deep.equal(['oracle1', 'oracle2', 'spread', 'amount']);
+        expect(doublePriceInputs(getAbi('LimitOrderProtocol', 250))).to.deep.equal(['oracle1', 'oracle2', 'spread', 'decimalsScale', 'amount']);
+        expect(getAbi('WethUnwrapper', '1313161554')).to.equal(getAbi('WethUnwrapper'));
+        expect(() => getAbi('LimitOrderProtocolPro', 10)).to.throw('LimitOrderProtocolPro is not deployed on chain 10');
+        expect(() => getAbi('TokenMock')).to.throw('Unknown contract TokenMock');
+    });
+
+    it('should list differences of regenerated deployments', async () => {
+        const abi = [{ type: 'function', name: 'nonce', inputs: [], outputs: [], stateMutability: 'view' }];
+        const current = buildDeployments([
+            { network: 'mainnet', chainId: 1, contracts: { SeriesNonceManager: { address: '0x01', abi } } },
+        ]);
+        const next = buildDeployments([
+            { network: 'optimistic', chainId: 10, contracts: { SeriesNonceManager: { address: '0x10', abi }, TokenMock: { address: '0x11', abi } } },
+            { network: 'mainnet', chainId: 1, contracts: { SeriesNonceManager: { address: '0x02', abi: [] } } },
+        ]);
+
+        expect(next.addresses).to.deep.equal({ 1: { SeriesNonceManager: '0x02' }, 10: { SeriesNonceManager: '0x10' } });
+        expect(next.abis.SeriesNonceManager.map(({ chainIds }) => chainIds)).to.deep.equal([[1], [10]]);
+        expect(diffDeployments(current, next)).to.deep.equal([
+            '1 SeriesNonceManager: 0x01 -> 0x02',
+            '10 SeriesNonceManager: none -> 0x10',
+            'SeriesNonceManager: new ABI for chains 1',
+        ]);
+        expect(diffDeployments(next, next)).to.deep.equal([]);
+    });
+
+    it('should regenerate and check deployments.json', async () => {
+        const out = path.join(this.dir, 'deployments.json');
+        const deployment = path.join(this.dir, 'hardhat', 'WethUnwrapper.json');
+        fs.mkdirSync(path.dirname(deployment));
+        fs.writeFileSync(path.join(this.dir, 'hardhat', '.chainId'), '31337');
+        fs.writeFileSync(deployment, JSON.stringify({ address: '0x01', abi: [] }));
+
+        await run('deployments', { dir: this.dir, out });
+        expect(JSON.parse(fs.readFileSync(out, 'utf8')).addresses).to.deep.equal({ 31337: { WethUnwrapper: '0x01' } });
+        await run('deployments', { dir: this.dir, out, check: true });
+
+        fs.writeFileSync(deployment, JSON.stringify({ address: '0x02', abi: [] }));
+        await expect(run('deployments', { dir: this.dir, out, check: true }))
+            .to.eventually.be.rejectedWith('31337 WethUnwrapper: 0x01 -> 0x02');
+    });
+});
@@ -0,0 +1,90 @@
+const chai = require('chai');
+const { expect } = require('@1inch/solidity-utils');
+const { run } = require('hardhat');
+const { buildOrder, decodeError, errorMatchers, explainError, signOrder } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const ERC721Proxy = artifacts.require('ERC721Proxy');
+
+chai.use(errorMatchers);
+
+describe('ErrorDecoder', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+    });
+
+    const expiredOrder = () => {
+        const order = buildOrder(
+            { makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr1 },
+            { predicate: this.swap.contract.methods.timestampBelow(1).encodeABI() },
+        );
+        return { order, signature: signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()) };
+    };
+
+    it('should keep errors.json in sync with compiled contracts', async () => {
+        await run('errors', { check: true });
+    });
+
+    it('should decode errors of protocol, helpers and libraries', async () => {
+        const selector = (signature) => web3.eth.abi.encodeFunctionSignature(signature);
+
+        expect(decodeError(selector('PredicateIsNotTrue()'))).to.deep.equal({
+            selector: selector('PredicateIsNotTrue()'),
+            name: 'PredicateIsNotTrue',
+            signature: 'PredicateIsNotTrue()',
+            args: [],
+            explanation: 'The order predicate did not return 1, e.g. the order expired or its nonce changed',
+        });
+        for (const name of ['RFQBadSignature', 'IncorrectDataLength', 'TakerIsNotWhitelisted', 'ERC721ProxyBadSelector']) {
+            expect(decodeError(selector(`${name}()`)).name).to.equal(name);
+        }
+
+        const results = selector('SimulationResults(bool,bytes)') + web3.eth.abi.encodeParameters(['bool', 'bytes'], [true, '0x1234']).substring(2);
+        expect(decodeError(results).args).to.deep.equal([true, '0x1234']);
+        expect(decodeError('0x12345678')).to.deep.equal({ selector: '0x12345678', name: undefined, args: [], data: '0x12345678' });
+    });
+
+    it('should decode revert strings and panics', async () => {
+        const reason = web3.eth.abi.encodeFunctionSignature('Error(string)') + web3.eth.abi.encodeParameter('string', 'oops').substring(2);
+        expect(decodeError(reason)).to.deep.include({ name: 'Error', args: ['oops'] });
+
+        const panic = web3.eth.abi.encodeFunctionSignature('Panic(uint256)') + web3.eth.abi.encodeParameter('uint256', 0x11).substring(2);
+        expect(decodeError(panic)).to.deep.include({ name: 'Panic', args: ['17'], explanation: 'Solidity panic: arithmetic overflow or underflow' });
+    });
+
+    it('should explain errors of failed calls', async () => {
+        const { order, signature } = expiredOrder();
+        const data = this.swap.contract.methods.fillOrder(order, signature, '0x', 1, 0, 1).encodeABI();
+        const error = await web3.eth.call({ from: addr0, to: this.swap.address, data }).catch(e => e);
+
+        expect(explainError(error)).to.equal('PredicateIsNotTrue(): The order predicate did not return 1, e.g. the order expired or its nonce changed');
+        expect(explainError(new Error('timeout'))).to.equal('timeout');
+    });
+
+    it('should match custom errors with chai', async () => {
+        const { order, signature } = expiredOrder();
+        await expect(this.swap.fillOrder(order, signature, '0x', 1, 0, 1)).to.be.revertedWithError('PredicateIsNotTrue');
+        await expect(this.swap.fillOrder(order, signature, '0x', 1, 0, 1)).not.to.be.revertedWithError('BadSignature');
+
+        const proxy = await ERC721Proxy.new(this.swap.address);
+        await expect(proxy.func_60iHVgK(addr0, addr1, 0, 1, this.dai.address)).to.be.revertedWithError('IOAccessDenied');
+
+        const data = this.swap.contract.methods.simulate(this.dai.address, this.dai.contract.methods.balanceOf(addr0).encodeABI()).encodeABI();
+        await expect(web3.eth.call({ to: this.swap.address, data })).to.be.revertedWithError('SimulationResults', [true, '0x' + '0'.repeat(64)]);
+
+        await expect(expect(this.swap.fillOrder(order, signature, '0x', 1, 0, 1)).to.be.revertedWithError('BadSignature'))
+            .to.eventually.be.rejectedWith('expected call to revert with BadSignature, but it reverted with PredicateIsNotTrue');
+        await expect(expect(this.dai.approve(addr1, 1)).to.be.revertedWithError('BadSignature'))
+            .to.eventually.be.rejectedWith('expected call to revert with BadSignature, but it succeeded');
+    });
+});
@@ -0,0 +1,141 @@
+const { expect } = require('@1inch/solidity-utils');
+const { network } = require('hardhat');
+const { EventIndexer, buildOrder, buildOrderRFQ, signOrder, signOrderRFQ } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const SeriesNonceManager = artifacts.require('SeriesNonceManager');
+
+describe('EventIndexer', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.seriesNonceManager = await SeriesNonceManager.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+
+        this.fromBlock = await web3.eth.getBlockNumber() + 1;
+        this.indexer = new EventIndexer(web3, {
+            protocol: this.swap.address,
+            seriesNonceManager: this.seriesNonceManager.address,
+            fromBlock: this.fromBlock,
+        });
+    });
+
+    const makeOrder = () => {
+        const order = buildOrder({
+            makerAsset: this.dai.address,
+            takerAsset: this.weth.address,
+            makingAmount: 100,
+            takingAmount: 1,
+            from: addr1,
+        });
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    it('should record fills and cancellation of an order', async () => {
+        const { order, signature } = makeOrder();
+        const orderHash = await this.swap.hashOrder(order);
+        const fill = await this.swap.fillOrder(order, signature, '0x', 40, 0, 1);
+        const cancel = await this.swap.cancelOrder(order, { from: addr1 });
+
+        await this.indexer.sync();
+
+        expect(this.indexer.getOrder(orderHash)).to.deep.equal({
+            type: 'Order',
+            maker: web3.utils.toChecksumAddress(addr1),
+            fills: [{ blockNumber: fill.receipt.blockNumber, transactionHash: fill.tx, logIndex: 0, remaining: '60' }],
+            cancellation: { blockNumber: cancel.receipt.blockNumber, transactionHash: cancel.tx, logIndex: 0, remainingRaw: '61' },
+        });
+    });
+
+    it('should record RFQ fills', async () => {
+        const order = buildOrderRFQ('1', this.dai.address, this.weth.address, '100', '1', addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        const fill = await this.swap.fillOrderRFQ(order, signature, 50, 0);
+        const { orderHash } = fill.logs[0].args;
+
+        await this.indexer.sync();
+
+        expect(this.indexer.getOrder(orderHash).fills.map(f => f.makingAmount)).to.deep.equal(['50']);
+        expect(this.indexer.getOrder(orderHash).maker).to.be.undefined;
+    });
+
+    it('should track nonces of both nonce managers', async () => {
+        await this.swap.advanceNonce(3, { from: addr1 });
+        await this.swap.increaseNonce({ from: addr1 });
+        await this.seriesNonceManager.advanceNonce(2, 5, { from: addr1 });
+        await this.seriesNonceManager.increaseNonce(1);
+
+        await this.indexer.sync();
+
+        expect(this.indexer.getNonce(addr1)).to.equal('4');
+        expect(this.indexer.getNonce(addr0)).to.equal('0');
+        expect(this.indexer.getSeriesNonce(2, addr1)).to.equal('5');
+        expect(this.indexer.getSeriesNonce(1, addr0)).to.equal('1');
+        expect(this.indexer.getSeriesNonce(1, addr1)).to.equal('0');
+    });
+
+    it('should resume from saved state', async () => {
+        await this.swap.increaseNonce({ from: addr1 });
+        const first = await this.indexer.sync();
+        const state = JSON.parse(JSON.stringify(this.indexer.state));
+
+        await this.swap.increaseNonce({ from: addr1 });
+        const resumed = new EventIndexer(web3, { protocol: this.swap.address, state });
+        const second = await resumed.sync();
+
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(resumed.getNonce(addr1)).to.equal('2');
+        expect(resumed.state.nonces[addr1].map(e => e.nonce)).to.deep.equal(['1', '2']);
+    });
+
+    it('should scan in batches and stay behind by confirmations', async () => {
+        await this.swap.increaseNonce({ from: addr1 });
+        await this.swap.increaseNonce({ from: addr1 });
+        const indexer = new EventIndexer(web3, { protocol: this.swap.address, fromBlock: this.fromBlock, confirmations: 1 });
+
+        const { toBlock } = await indexer.sync({ batchSize: 1 });
+
+        expect(toBlock).to.equal(await web3.eth.getBlockNumber() - 1);
+        expect(indexer.getNonce(addr1)).to.equal('1');
+    });
+
+    it('should roll back events of reorganized blocks', async () => {
+        await this.swap.increaseNonce({ from: addr1 });
+        await this.indexer.sync();
+        const snapshot = await network.provider.send('evm_snapshot');
+        const ancestor = await web3.eth.getBlockNumber();
+
+        const { order, signature } = makeOrder();
+        const orderHash = await this.swap.hashOrder(order);
+        await this.swap.fillOrder(order, signature, '0x', 40, 0, 1);
+        await this.swap.increaseNonce({ from: addr1 });
+        await this.indexer.sync();
+        expect(this.indexer.getOrder(orderHash)).to.not.be.undefined;
+        expect(this.indexer.getNonce(addr1)).to.equal('2');
+
+        await network.provider.send('evm_revert', [snapshot]);
+        await this.swap.advanceNonce(5, { from: addr1 });
+        await this.dai.mint(addr1, '1');
+        await this.dai.mint(addr1, '1');
+
+        const { rolledBackTo } = await this.indexer.sync();
+
+        expect(rolledBackTo).to.equal(ancestor);
+        expect(this.indexer.getOrder(orderHash)).to.be.undefined;
+        expect(this.indexer.getNonce(addr1)).to.equal('6');
+    });
+});
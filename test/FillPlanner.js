@@ -0,0 +1,139 @@
+const { expect } = require('@1inch/solidity-utils');
+const { buildOrder, encodeFillOrderTo, planBatchFill, signOrder } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const BatchFiller = artifacts.require('BatchFiller');
+
+describe('FillPlanner', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    // Sells `makingAmount` DAI for `takingAmount` WETH
+    const makeEntry = (salt, makingAmount, takingAmount, interactions) => {
+        const order = buildOrder(
+            { salt, makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount, takingAmount, from: addr1 },
+            interactions,
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    const send = async (transactions) => {
+        for (const tx of transactions) {
+            await web3.eth.sendTransaction({ from: addr0, ...tx, gas: 300000 });
+        }
+    };
+
+    it('should sweep cheapest orders first by making amount', async () => {
+        const entries = [
+            makeEntry('1', 100, 30),
+            makeEntry('2', 100, 10),
+            makeEntry('3', 100, 20),
+        ];
+        const plan = await planBatchFill(entries, 150, { protocol: this.swap.address, target: addr0 });
+
+        expect(plan.fills.map(fill => [fill.index, fill.makingAmount, fill.expectedTakingAmount])).to.deep.equal([
+            [1, '100', '10'],
+            [2, '50', '10'],
+        ]);
+        expect(plan).to.deep.include({ makingAmount: '150', takingAmount: '20', thresholdAmount: '20', unfilledAmount: '0' });
+
+        await send(plan.transactions);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('150');
+        expect(await this.weth.balanceOf(addr1)).to.be.bignumber.equal('20');
+    });
+
+    it('should account remaining amounts and skip orders which can not be partially filled', async () => {
+        const partial = makeEntry('1', 100, 10);
+        const frozen = makeEntry('2', 100, 5, { getMakingAmount: '', getTakingAmount: '' });
+        const expensive = makeEntry('3', 100, 50);
+        await this.swap.fillOrder(partial.order, partial.signature, '0x', 60, 0, 6);
+
+        const entries = [{ ...partial, remaining: '40' }, frozen, expensive, { ...makeEntry('4', 1, 1), remaining: '0' }];
+        const plan = await planBatchFill(entries, 80, { protocol: this.swap.address, target: addr0 });
+
+        expect(plan.skipped).to.deep.equal([{ index: 3, error: 'RemainingAmountIsZero' }, { index: 1, error: 'WrongAmount' }]);
+        expect(plan.fills.map(fill => [fill.index, fill.makingAmount])).to.deep.equal([[0, '40'], [2, '40']]);
+
+        await send(plan.transactions);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('140');
+    });
+
+    it('should plan by taking amount with slippage', async () => {
+        const entries = [makeEntry('1', 1000, 100), makeEntry('2', 1000, 200)];
+        const plan = await planBatchFill(entries, 150, { side: 'taking', slippageBps: 100, protocol: this.swap.address, target: addr0 });
+
+        expect(plan.fills.map(fill => [fill.takingAmount, fill.expectedMakingAmount, fill.thresholdAmount])).to.deep.equal([
+            ['100', '1000', '990'],
+            ['50', '250', '247'],
+        ]);
+        expect(plan.unfilledAmount).to.equal('0');
+        expect(plan.transactions[0].data).to.equal(
+            encodeFillOrderTo(entries[0].order, entries[0].signature, '0x', '0', '100', '990', addr0),
+        );
+
+        const result = await planBatchFill(entries, 250, { side: 'taking', slippageBps: 100 });
+        expect(result.fills.map(fill => [fill.expectedMakingAmount, fill.expectedTakingAmount])).to.deep.equal([
+            ['1000', '100'],
+            ['750', '150'],
+        ]);
+        expect(result).to.deep.include({ makingAmount: '1750', thresholdAmount: '1732' });
+        expect(result.transactions).to.be.undefined;
+
+        await send(plan.transactions);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('1250');
+    });
+
+    it('should fill in one batch checking the total amounts', async () => {
+        const batchFiller = await BatchFiller.new(this.swap.address);
+        await this.weth.approve(batchFiller.address, '1000000');
+        const entries = [makeEntry('1', 100, 10), makeEntry('2', 100, 20)];
+        const plan = await planBatchFill(entries, 150, { slippageBps: 100, batchFiller: batchFiller.address, target: addr0 });
+
+        expect(plan).to.deep.include({ makingAmount: '150', takingAmount: '20', thresholdAmount: '22' });
+        expect(plan.batchTransaction.takerAmount).to.equal('22');
+        expect(plan.transactions).to.be.undefined;
+
+        const { to, data } = plan.batchTransaction;
+        await send([{ to, data }]);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('150');
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal('999980');
+        expect(await this.weth.balanceOf(batchFiller.address)).to.be.bignumber.equal('0');
+    });
+
+    it('should revert the whole batch when fills fall short', async () => {
+        const batchFiller = await BatchFiller.new(this.swap.address);
+        await this.weth.approve(batchFiller.address, '1000000');
+        const entries = [makeEntry('1', 100, 10), makeEntry('2', 100, 20)];
+        const plan = await planBatchFill(entries, 150, { slippageBps: 100, batchFiller: batchFiller.address, target: addr0 });
+
+        // Front-run of the first order leaves 40 of the planned 100, which its own threshold lets through
+        await this.swap.fillOrder(entries[0].order, entries[0].signature, '0x', 60, 0, 6);
+
+        const { to, data } = plan.batchTransaction;
+        await expect(send([{ to, data }])).to.eventually.be.rejectedWith('MakingAmountTooLow()');
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('60');
+    });
+
+    it('should reject orders of different pairs', async () => {
+        const other = buildOrder({ makerAsset: this.weth.address, takerAsset: this.dai.address, makingAmount: 1, takingAmount: 1, from: addr1 });
+        await expect(planBatchFill([makeEntry('1', 1, 1), { order: other }], 1))
+            .to.eventually.be.rejectedWith(`Order 1 trades ${this.weth.address}/${this.dai.address} instead of ${this.dai.address}/${this.weth.address}`);
+    });
+});
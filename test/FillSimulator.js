@@ -0,0 +1,84 @@
+const { expect, time } = require('@1inch/solidity-utils');
+const { buildOrder, buildOrderRFQ, encodeInfo, signOrder, signOrderRFQ, simulateFill } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const CallsSimulator = artifacts.require('CallsSimulator');
+
+describe('FillSimulator', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const receiver = '0x000000000000000000000000000000000000beef';
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.callsSimulator = await CallsSimulator.new();
+
+        await this.dai.mint(addr1, '1000');
+        await this.weth.mint(addr0, '1000');
+        await this.dai.approve(this.swap.address, '1000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000');
+    });
+
+    const makeOrder = (params = {}, interactions = {}) => {
+        const order = buildOrder(
+            { makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 100, takingAmount: 10, from: addr1, ...params },
+            interactions,
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    const simulate = (fill) => simulateFill(web3, { protocol: this.swap.address, taker: addr0, callsSimulator: this.callsSimulator.address, ...fill });
+
+    it('should report amounts and balance deltas of maker, taker and receiver', async () => {
+        const report = await simulate({ ...makeOrder({ receiver }), makingAmount: 50 });
+
+        expect(report).to.deep.include({ success: true, makingAmount: '50', takingAmount: '5', transfers: { maker: true, taker: true } });
+        expect(report.balanceDeltas).to.deep.equal({
+            [addr1]: { [this.dai.address]: '-50' },
+            [addr0]: { [this.dai.address]: '50', [this.weth.address]: '-5' },
+            [receiver]: { [this.weth.address]: '5' },
+        });
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('0');
+    });
+
+    it('should decode custom errors of failed fills', async () => {
+        const expired = makeOrder({}, { predicate: this.swap.contract.methods.timestampBelow(1).encodeABI() });
+        expect((await simulate({ ...expired, makingAmount: 50 })).error).to.deep.include({ name: 'PredicateIsNotTrue', args: [] });
+
+        const { order } = makeOrder();
+        const { signature } = makeOrder({ salt: '2' });
+        expect((await simulate({ order, signature, makingAmount: 50 })).error.name).to.equal('BadSignature');
+        expect((await simulate({ ...makeOrder(), makingAmount: 50, thresholdAmount: 4 })).error.name).to.equal('TakingAmountTooHigh');
+    });
+
+    it('should report which transfer would fail', async () => {
+        await this.weth.approve(this.swap.address, '0');
+        const report = await simulate({ ...makeOrder(), takingAmount: 10 });
+
+        expect(report.success).to.be.false;
+        expect(report.error.name).to.equal('TransferFromTakerToMakerFailed');
+        expect(report.transfers).to.deep.equal({ maker: true, taker: false });
+        expect(report.balanceDeltas).to.be.undefined;
+    });
+
+    it('should simulate RFQ orders', async () => {
+        const expiration = (await time.latest()).addn(100);
+        const order = buildOrderRFQ(encodeInfo(1, expiration), this.dai.address, this.weth.address, 100, 10, addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+        const report = await simulate({ order, signature });
+        expect(report).to.deep.include({ success: true, makingAmount: '100', takingAmount: '10' });
+        expect(report.balanceDeltas[addr1]).to.deep.equal({ [this.dai.address]: '-100', [this.weth.address]: '10' });
+
+        await time.increaseTo(expiration.addn(1));
+        expect((await simulate({ order, signature })).error.name).to.equal('OrderExpired');
+    });
+});
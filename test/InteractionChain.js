@@ -0,0 +1,101 @@
+const { expect, ether } = require('@1inch/solidity-utils');
+const {
+    buildInteractionChain,
+    buildOrder,
+    decodeInteractionChain,
+    signOrder,
+    wethUnwrapperHop,
+    whitelistCheckerHop,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const WrappedTokenMock = artifacts.require('WrappedTokenMock');
+const WethUnwrapper = artifacts.require('WethUnwrapper');
+const WhitelistChecker = artifacts.require('WhitelistChecker');
+const WhitelistRegistryMock = artifacts.require('WhitelistRegistryMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('InteractionChain', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await WrappedTokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.unwrapper = await WethUnwrapper.new();
+        this.registries = [await WhitelistRegistryMock.new(), await WhitelistRegistryMock.new()];
+        this.checkers = [
+            await WhitelistChecker.new(this.registries[0].address),
+            await WhitelistChecker.new(this.registries[1].address),
+        ];
+
+        await this.dai.mint(addr1, ether('100'));
+        await this.dai.approve(this.swap.address, ether('100'), { from: addr1 });
+        await web3.eth.sendTransaction({ from: addr0, to: this.weth.address, value: ether('1') });
+        await this.weth.approve(this.swap.address, ether('1'));
+    });
+
+    const receivers = () => ({
+        [this.checkers[0].address]: 'WhitelistChecker',
+        [this.checkers[1].address]: 'WhitelistChecker',
+        [this.unwrapper.address]: 'WethUnwrapper',
+    });
+
+    it('should call every whitelist checker of the chain and unwrap taker asset', async () => {
+        const order = buildOrder(
+            { makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: ether('100'), takingAmount: ether('0.1'), from: addr1, receiver: this.unwrapper.address },
+            {
+                preInteraction: buildInteractionChain('preInteraction', this.checkers.map(({ address }) => whitelistCheckerHop(address))),
+                postInteraction: buildInteractionChain('postInteraction', [wethUnwrapperHop(this.unwrapper.address, addr1)]),
+            },
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+        await this.registries[0].allow();
+        await expect(this.swap.fillOrder(order, signature, '0x', ether('100'), 0, ether('0.1')))
+            .to.eventually.be.rejectedWith('TakerIsNotWhitelisted()');
+
+        await this.registries[1].allow();
+        const makerEth = web3.utils.toBN(await web3.eth.getBalance(addr1));
+        await this.swap.fillOrder(order, signature, '0x', ether('100'), 0, ether('0.1'));
+
+        expect(web3.utils.toBN(await web3.eth.getBalance(addr1))).to.be.bignumber.equal(makerEth.add(ether('0.1')));
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal(ether('100'));
+    });
+
+    it('should decode chains hop by hop', async () => {
+        const custom = { target: this.dai.address, data: '0xabcd' };
+        const chain = buildInteractionChain('preInteraction', [...this.checkers.map(({ address }) => whitelistCheckerHop(address)), custom]);
+
+        expect(decodeInteractionChain(chain, receivers())).to.deep.equal([
+            { receiver: 'WhitelistChecker', target: this.checkers[0].address, args: {}, data: '0x' + chain.substring(42) },
+            { receiver: 'WhitelistChecker', target: this.checkers[1].address, args: {}, data: '0x' + chain.substring(82) },
+            { target: this.dai.address, data: '0xabcd' },
+        ]);
+        expect(decodeInteractionChain(buildInteractionChain('postInteraction', [wethUnwrapperHop(this.unwrapper.address, addr1)]), receivers())).to.deep.equal([
+            { receiver: 'WethUnwrapper', target: this.unwrapper.address, args: { maker: web3.utils.toChecksumAddress(addr1) }, data: addr1 },
+        ]);
+        expect(decodeInteractionChain(chain)).to.deep.equal([{ target: this.checkers[0].address, data: '0x' + chain.substring(42) }]);
+        expect(decodeInteractionChain('0x')).to.deep.equal([]);
+        expect(() => decodeInteractionChain(this.checkers[0].address + 'abcd', receivers())).to.throw('Hop 1: 2 bytes are too short for a target address');
+    });
+
+    it('should reject chains which can not be called', async () => {
+        const checker = whitelistCheckerHop(this.checkers[0].address);
+        const unwrapper = wethUnwrapperHop(this.unwrapper.address, addr1);
+
+        expect(() => buildInteractionChain('postInteraction', [checker]))
+            .to.throw('Hop 0: WhitelistChecker can only be called as preInteraction');
+        expect(() => buildInteractionChain('preInteraction', [{ target: this.dai.address }, checker]))
+            .to.throw(`Hop 0: ${this.dai.address} does not forward to the next receiver`);
+        expect(() => buildInteractionChain('postInteraction', [unwrapper, unwrapper]))
+            .to.throw('Hop 0: WethUnwrapper does not forward to the next receiver');
+        expect(() => buildInteractionChain('interaction', [checker])).to.throw('Unknown stage: interaction');
+        expect(buildInteractionChain('preInteraction', [])).to.equal('0x');
+    });
+});
@@ -0,0 +1,135 @@
+const { expect, constants } = require('@1inch/solidity-utils');
+const {
+    checkNftApproval,
+    erc1155AssetData,
+    erc1155BuyOrder,
+    erc1155SellOrder,
+    erc721AssetData,
+    erc721BuyOrder,
+    erc721SellOrder,
+    signOrder,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const ERC721Mock = artifacts.require('ERC721Mock');
+const ERC1155Mock = artifacts.require('ERC1155Mock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const ERC721Proxy = artifacts.require('ERC721Proxy');
+const ERC721ProxySafe = artifacts.require('ERC721ProxySafe');
+const ERC1155Proxy = artifacts.require('ERC1155Proxy');
+
+describe('NftOrders', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.nft = await ERC721Mock.new('NFT', 'NFT');
+        this.items = await ERC1155Mock.new('');
+        this.swap = await LimitOrderProtocol.new();
+        this.erc721Proxy = await ERC721Proxy.new(this.swap.address);
+        this.erc721ProxySafe = await ERC721ProxySafe.new(this.swap.address);
+        this.erc1155Proxy = await ERC1155Proxy.new(this.swap.address);
+
+        await this.dai.mint(addr0, '1000');
+        await this.dai.mint(addr1, '1000');
+        await this.dai.approve(this.swap.address, '1000');
+        await this.dai.approve(this.swap.address, '1000', { from: addr1 });
+        await this.nft.mint(addr1, 7);
+        await this.nft.mint(addr0, 8);
+        await this.items.mint(addr1, 3, 10, '0x');
+    });
+
+    const sign = (order) => signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+    it('should encode proxy arguments after from, to and amount', async () => {
+        expect(erc721AssetData(this.nft.address, 7)).to.equal(
+            '0x' + this.erc721Proxy.contract.methods.func_60iHVgK(addr1, constants.ZERO_ADDRESS, 0, 7, this.nft.address).encodeABI().substring(202),
+        );
+        expect(erc1155AssetData(this.items.address, 3, '0xabcd')).to.equal(
+            '0x' + this.erc1155Proxy.contract.methods.func_301JL5R(addr1, constants.ZERO_ADDRESS, 0, this.items.address, 3, '0xabcd').encodeABI().substring(202),
+        );
+    });
+
+    it('erc721SellOrder should sell the token only as a whole', async () => {
+        const order = erc721SellOrder(
+            { takerAsset: this.dai.address, takingAmount: '100', from: addr1 },
+            { proxy: this.erc721Proxy.address, token: this.nft.address, tokenId: 7 },
+        );
+        await this.nft.approve(this.erc721Proxy.address, 7, { from: addr1 });
+
+        await expect(this.swap.fillOrder(order, sign(order), '0x', 0, '50', '1'))
+            .to.eventually.be.rejectedWith('WrongAmount()');
+        await this.swap.fillOrder(order, sign(order), '0x', 1, 0, '100');
+
+        expect(await this.nft.ownerOf(7)).to.equal(web3.utils.toChecksumAddress(addr0));
+        expect(await this.dai.balanceOf(addr1)).to.be.bignumber.equal('1100');
+    });
+
+    it('erc721BuyOrder should buy the token via ERC721ProxySafe', async () => {
+        const order = erc721BuyOrder(
+            { makerAsset: this.dai.address, makingAmount: '100', from: addr1 },
+            { proxy: this.erc721ProxySafe.address, token: this.nft.address, tokenId: 8 },
+        );
+        await this.nft.setApprovalForAll(this.erc721ProxySafe.address, true);
+
+        await this.swap.fillOrder(order, sign(order), '0x', 0, 1, '100');
+
+        expect(await this.nft.ownerOf(8)).to.equal(web3.utils.toChecksumAddress(addr1));
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('1100');
+    });
+
+    it('erc1155SellOrder should be filled at once unless partial fills are allowed', async () => {
+        const params = { takerAsset: this.dai.address, takingAmount: '100', from: addr1 };
+        const asset = { proxy: this.erc1155Proxy.address, token: this.items.address, tokenId: 3, amount: 4 };
+        await this.items.setApprovalForAll(this.erc1155Proxy.address, true, { from: addr1 });
+
+        const whole = erc1155SellOrder(params, asset);
+        await expect(this.swap.fillOrder(whole, sign(whole), '0x', 2, 0, '50'))
+            .to.eventually.be.rejectedWith('WrongAmount()');
+
+        const partial = erc1155SellOrder({ ...params, salt: '2' }, { ...asset, partialFill: true });
+        await this.swap.fillOrder(partial, sign(partial), '0x', 2, 0, '50');
+        expect(await this.items.balanceOf(addr0, 3)).to.be.bignumber.equal('2');
+
+        await this.swap.fillOrder(whole, sign(whole), '0x', 4, 0, '100');
+        expect(await this.items.balanceOf(addr0, 3)).to.be.bignumber.equal('6');
+        expect(await this.dai.balanceOf(addr1)).to.be.bignumber.equal('1150');
+    });
+
+    it('erc1155BuyOrder should buy tokens', async () => {
+        await this.items.mint(addr0, 5, 10, '0x');
+        await this.items.setApprovalForAll(this.erc1155Proxy.address, true);
+        const order = erc1155BuyOrder(
+            { makerAsset: this.dai.address, makingAmount: '100', from: addr1 },
+            { proxy: this.erc1155Proxy.address, token: this.items.address, tokenId: 5, amount: 10 },
+        );
+
+        await this.swap.fillOrder(order, sign(order), '0x', 0, 10, '100');
+
+        expect(await this.items.balanceOf(addr1, 5)).to.be.bignumber.equal('10');
+    });
+
+    it('checkNftApproval should report ownership and approval problems', async () => {
+        const erc721 = { standard: 'ERC721', token: this.nft.address, owner: addr1, proxy: this.erc721Proxy.address };
+        expect(await checkNftApproval(web3, { ...erc721, tokenId: 9 })).to.deep.equal(['token 9 does not exist']);
+        expect(await checkNftApproval(web3, { ...erc721, tokenId: 8 })).to.deep.equal([
+            `token 8 is owned by ${web3.utils.toChecksumAddress(addr0)}`,
+            `proxy ${this.erc721Proxy.address} is not approved`,
+        ]);
+        await this.nft.approve(this.erc721Proxy.address, 7, { from: addr1 });
+        expect(await checkNftApproval(web3, { ...erc721, tokenId: 7 })).to.deep.equal([]);
+
+        const erc1155 = { standard: 'ERC1155', token: this.items.address, tokenId: 3, owner: addr1, proxy: this.erc1155Proxy.address };
+        expect(await checkNftApproval(web3, { ...erc1155, amount: 11 })).to.deep.equal([
+            'balance of token 3 is 10 while 11 is required',
+            `proxy ${this.erc1155Proxy.address} is not approved`,
+        ]);
+        await this.items.setApprovalForAll(this.erc1155Proxy.address, true, { from: addr1 });
+        expect(await checkNftApproval(web3, { ...erc1155, amount: 10 })).to.deep.equal([]);
+    });
+});
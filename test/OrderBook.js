@@ -0,0 +1,195 @@
+const { expect, time } = require('@1inch/solidity-utils');
+const { OrderBook, buildOrder, buildOrderFile, buildOrderRFQ, createRelayServer, signOrder, signOrderRFQ } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const LimitOrderProtocolPro = artifacts.require('LimitOrderProtocolPro');
+
+describe('OrderBook', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+
+        this.orderBook = new OrderBook(web3, { chainId: this.chainId, verifyingContract: this.swap.address });
+    });
+
+    const makeOrder = (interactions = {}, { salt = '1', takerAsset = this.weth.address } = {}) => {
+        const order = buildOrder(
+            {
+                salt,
+                makerAsset: this.dai.address,
+                takerAsset,
+                makingAmount: 100,
+                takingAmount: 1,
+                from: addr1,
+            },
+            interactions,
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return buildOrderFile(order, { chainId: this.chainId, verifyingContract: this.swap.address, signature });
+    };
+
+    const makeOrderRFQ = (info) => {
+        const order = buildOrderRFQ(info, this.dai.address, this.weth.address, '100', '1', addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return buildOrderFile(order, { chainId: this.chainId, verifyingContract: this.swap.address, signature });
+    };
+
+    it('should index accepted orders', async () => {
+        const { orderHash } = await this.orderBook.add(makeOrder());
+        const other = await this.orderBook.add(makeOrder({}, { salt: '2', takerAsset: this.swap.address }));
+        const rfq = await this.orderBook.add(makeOrderRFQ('1'));
+
+        expect(orderHash).to.equal(await this.swap.hashOrder(makeOrder().order));
+        expect(this.orderBook.find({ maker: addr1 })).to.have.lengthOf(3);
+        expect(this.orderBook.find({ maker: addr1, type: 'OrderRFQ' }).map(e => e.orderHash)).to.deep.equal([rfq.orderHash]);
+        expect(this.orderBook.find({ makerAsset: this.dai.address, takerAsset: this.weth.address }).map(e => e.orderHash))
+            .to.deep.equal([orderHash, rfq.orderHash]);
+        expect(this.orderBook.find({ takerAsset: this.swap.address }).map(e => e.orderHash)).to.deep.equal([other.orderHash]);
+        expect(this.orderBook.find({ maker: addr0 })).to.deep.equal([]);
+        expect(this.orderBook.get(orderHash).remaining).to.equal('100');
+    });
+
+    it('should reject unsigned orders and orders of another domain', async () => {
+        const { signature, ...unsigned } = makeOrder();
+        expect(await this.orderBook.add(unsigned)).to.deep.equal({ errors: ['signature: order is not signed'] });
+
+        const order = makeOrder().order;
+        const foreign = buildOrderFile(order, {
+            chainId: this.chainId,
+            verifyingContract: this.dai.address,
+            signature: signOrder(order, this.chainId, this.dai.address, addr1Wallet.getPrivateKey()),
+        });
+        expect(await this.orderBook.add(foreign)).to.deep.equal({ errors: [`verifyingContract: expected ${this.swap.address}`] });
+
+        const forged = makeOrder();
+        forged.order.makingAmount = '1000';
+        const { errors } = await this.orderBook.add(forged);
+        expect(errors).to.have.lengthOf(1);
+        expect(errors[0]).to.match(/^signature: recovers to/);
+    });
+
+    it('should key and track orders of the Pro protocol', async () => {
+        const pro = await LimitOrderProtocolPro.new();
+        await this.dai.approve(pro.address, '1000000', { from: addr1 });
+        await this.weth.approve(pro.address, '1000000');
+        const orderBook = new OrderBook(web3, { chainId: this.chainId, verifyingContract: pro.address, flavour: 'pro' });
+        const order = makeOrder().order;
+        const file = buildOrderFile(order, {
+            chainId: this.chainId,
+            verifyingContract: pro.address,
+            signature: signOrder(order, this.chainId, pro.address, addr1Wallet.getPrivateKey(), 'pro'),
+            flavour: 'pro',
+        });
+
+        const { orderHash } = await orderBook.add(file);
+        expect(orderHash).to.equal(await pro.hashOrder(order));
+
+        await pro.fillOrder(file.order, file.signature, '0x', 40, 0, 1);
+        await orderBook.prune();
+        expect(orderBook.get(orderHash).remaining).to.equal('60');
+
+        const standard = buildOrderFile(order, {
+            chainId: this.chainId,
+            verifyingContract: pro.address,
+            signature: signOrder(order, this.chainId, pro.address, addr1Wallet.getPrivateKey()),
+        });
+        expect(await orderBook.add(standard)).to.deep.equal({ errors: ['flavour: expected pro'] });
+    });
+
+    it('should track remaining and prune filled orders', async () => {
+        const file = makeOrder();
+        const { orderHash } = await this.orderBook.add(file);
+
+        await this.swap.fillOrder(file.order, file.signature, '0x', 40, 0, 1);
+        expect(await this.orderBook.prune()).to.deep.equal([]);
+        expect(this.orderBook.get(orderHash).remaining).to.equal('60');
+
+        await this.swap.fillOrder(file.order, file.signature, '0x', 60, 0, 1);
+        expect(await this.orderBook.prune()).to.deep.equal([{ orderHash, reason: 'filled or cancelled' }]);
+        expect(this.orderBook.find()).to.deep.equal([]);
+        expect(await this.orderBook.add(file)).to.deep.equal({ errors: ['order: filled or cancelled'] });
+    });
+
+    it('should prune cancelled, filled and expired RFQ orders', async () => {
+        const expiration = (await time.latest()).addn(100);
+        const filled = await this.orderBook.add(makeOrderRFQ('1'));
+        const cancelled = await this.orderBook.add(makeOrderRFQ('2'));
+        const expiring = await this.orderBook.add(makeOrderRFQ(expiration.shln(64).addn(300).toString()));
+
+        const fill = makeOrderRFQ('1');
+        await this.swap.fillOrderRFQ(fill.order, fill.signature, 0, 0);
+        await this.swap.methods['cancelOrderRFQ(uint256)']('2', { from: addr1 });
+        expect(await this.orderBook.prune()).to.deep.equal([
+            { orderHash: filled.orderHash, reason: 'filled or cancelled' },
+            { orderHash: cancelled.orderHash, reason: 'filled or cancelled' },
+        ]);
+
+        await time.increaseTo(expiration.addn(1));
+        expect(await this.orderBook.prune()).to.deep.equal([{ orderHash: expiring.orderHash, reason: 'expired' }]);
+    });
+
+    it('should hide orders with failing predicates', async () => {
+        const deadline = (await time.latest()).addn(100);
+        const { orderHash } = await this.orderBook.add(makeOrder({
+            predicate: this.swap.contract.methods.timestampBelow(deadline).encodeABI(),
+        }));
+        expect(this.orderBook.find().map(e => e.orderHash)).to.deep.equal([orderHash]);
+
+        await time.increaseTo(deadline.addn(1));
+        expect(await this.orderBook.prune()).to.deep.equal([]);
+        expect(this.orderBook.find()).to.deep.equal([]);
+        expect(this.orderBook.find({ all: true }).map(e => e.orderHash)).to.deep.equal([orderHash]);
+    });
+
+    describe('Relay server', async () => {
+        beforeEach(async () => {
+            this.server = createRelayServer(this.orderBook);
+            await new Promise(resolve => this.server.listen(0, resolve));
+            this.url = `http://localhost:${this.server.address().port}/orders`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => this.server.close(resolve));
+        });
+
+        it('should accept and serve orders', async () => {
+            const file = makeOrder();
+            const post = await fetch(this.url, { method: 'POST', body: JSON.stringify(file) });
+            expect(post.status).to.equal(201);
+            const { orderHash } = await post.json();
+
+            const list = await (await fetch(`${this.url}?maker=${addr1}&takerAsset=${this.weth.address}`)).json();
+            expect(list.map(e => e.orderHash)).to.deep.equal([orderHash]);
+            expect((await (await fetch(`${this.url}?maker=${addr0}`)).json())).to.deep.equal([]);
+
+            const entry = await (await fetch(`${this.url}/${orderHash}`)).json();
+            expect(entry.signature).to.equal(file.signature);
+            expect(entry.remaining).to.equal('100');
+        });
+
+        it('should reject invalid orders', async () => {
+            const { signature, ...unsigned } = makeOrder();
+            const post = await fetch(this.url, { method: 'POST', body: JSON.stringify(unsigned) });
+            expect(post.status).to.equal(400);
+            expect(await post.json()).to.deep.equal({ errors: ['signature: order is not signed'] });
+
+            expect((await fetch(this.url, { method: 'POST', body: '{' })).status).to.equal(400);
+            expect((await fetch(`${this.url}/0x00`)).status).to.equal(404);
+            expect((await fetch(this.url, { method: 'DELETE' })).status).to.equal(405);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const { expect } = require('@1inch/solidity-utils');
+const { buildOrder, buildOrderFile, buildOrderRFQ, compactSignature, signOrder, signOrderRFQ, validateOrderFile } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const LimitOrderProtocolPro = artifacts.require('LimitOrderProtocolPro');
+
+describe('OrderFile', async () => {
+    const addr1 = addr1Wallet.getAddressString();
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+    });
+
+    const makeFile = (wallet = addr1Wallet) => {
+        const order = buildOrder(
+            {
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: 100,
+                takingAmount: 1,
+                from: addr1,
+            },
+            {
+                predicate: this.swap.contract.methods.timestampBelow(0xff00000000).encodeABI(),
+            },
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, wallet.getPrivateKey());
+        return buildOrderFile(order, { chainId: this.chainId, verifyingContract: this.swap.address, signature });
+    };
+
+    it('should accept signed order', async () => {
+        const file = makeFile();
+        expect(file.order.maker).to.equal(web3.utils.toChecksumAddress(addr1));
+        expect(file.interactions.predicate).to.equal(this.swap.contract.methods.timestampBelow(0xff00000000).encodeABI());
+        expect(validateOrderFile(JSON.parse(JSON.stringify(file)))).to.deep.equal([]);
+    });
+
+    it('should accept unsigned order', async () => {
+        const { signature, ...file } = makeFile();
+        expect(validateOrderFile(file)).to.deep.equal([]);
+    });
+
+    it('should accept signed RFQ order with compact signature', async () => {
+        const order = buildOrderRFQ('1', this.dai.address, this.weth.address, '1', '1', addr1);
+        const { r, vs } = compactSignature(signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()));
+        const signature = r + vs.substring(2);
+        const file = buildOrderFile(order, { chainId: this.chainId, verifyingContract: this.swap.address, signature });
+        expect(file.interactions).to.be.undefined;
+        expect(validateOrderFile(file)).to.deep.equal([]);
+    });
+
+    it('should validate orders signed for the Pro protocol', async () => {
+        const pro = await LimitOrderProtocolPro.new();
+        const order = makeFile().order;
+        const signature = signOrder(order, this.chainId, pro.address, addr1Wallet.getPrivateKey(), 'pro');
+        const file = buildOrderFile(order, { chainId: this.chainId, verifyingContract: pro.address, signature, flavour: 'pro' });
+        expect(file).to.deep.include({ protocolVersion: '1', flavour: 'pro' });
+        expect(validateOrderFile(file)).to.deep.equal([]);
+
+        const { flavour, ...standard } = file;
+        expect(validateOrderFile({ ...standard, protocolVersion: '3' })[0]).to.match(/^signature: recovers to/);
+        expect(validateOrderFile({ ...file, protocolVersion: '3' })).to.deep.equal(['protocolVersion: expected 1 for the pro protocol']);
+
+        const rfq = buildOrderFile(buildOrderRFQ('1', this.dai.address, this.weth.address, '1', '1', addr1), {
+            chainId: this.chainId,
+            verifyingContract: pro.address,
+        });
+        expect(validateOrderFile({ ...rfq, protocolVersion: '1', flavour: 'pro' })).to.deep.equal(['type: the pro protocol does not support RFQ orders']);
+    });
+
+    it('should reject schema violations', async () => {
+        const file = makeFile();
+        file.version = 2;
+        file.order.makingAmount = '1e18';
+        delete file.interactions;
+        expect(validateOrderFile(file)).to.deep.equal([
+            '.version should be equal to constant',
+            'file should have required property \'interactions\'',
+            '.order.makingAmount should match pattern "^(0|[1-9][0-9]*)$"',
+            'file should match "then" schema',
+        ]);
+    });
+
+    it('should reject wrong address checksums', async () => {
+        const file = makeFile();
+        file.order.maker = addr1;
+        expect(validateOrderFile(file)).to.deep.equal([
+            `order.maker: invalid address checksum, expected ${web3.utils.toChecksumAddress(addr1)}`,
+        ]);
+    });
+
+    it('should reject amounts which do not fit into uint256', async () => {
+        const file = makeFile();
+        file.order.takingAmount = '1' + '0'.repeat(78);
+        expect(validateOrderFile(file)).to.deep.equal(['order.takingAmount: does not fit into uint256']);
+    });
+
+    it('should reject offsets not matching interactions', async () => {
+        const file = makeFile();
+        file.order.interactions = file.order.interactions + '00';
+        expect(validateOrderFile(file)).to.deep.equal([
+            'order.offsets: interactions: 1 trailing bytes are not covered by offsets',
+        ]);
+    });
+
+    it('should reject decoded interactions not matching order', async () => {
+        const file = makeFile();
+        file.interactions.predicate = '0x';
+        file.interactions.permit = file.order.interactions;
+        expect(validateOrderFile(file)).to.deep.equal([
+            'interactions.predicate: does not match order.interactions sliced by order.offsets',
+            'interactions.permit: does not match order.interactions sliced by order.offsets',
+        ]);
+    });
+
+    it('should reject signature of another account', async () => {
+        const file = makeFile(addr0Wallet);
+        expect(validateOrderFile(file)).to.deep.equal([
+            `signature: recovers to ${web3.utils.toChecksumAddress(addr0Wallet.getAddressString())} instead of order.maker`,
+        ]);
+    });
+
+    it('should reject signature for another verifying contract', async () => {
+        const file = makeFile();
+        file.verifyingContract = this.dai.address;
+        expect(validateOrderFile(file)[0]).to.match(/^signature: recovers to 0x[0-9a-fA-F]{40} instead of order.maker$/);
+    });
+});
@@ -0,0 +1,113 @@
+const { expect, time } = require('@1inch/solidity-utils');
+const {
+    buildOrder,
+    buildOrderRFQ,
+    checkOrderHealth,
+    decodeErc1155AssetData,
+    decodeErc721AssetData,
+    encodeInfo,
+    erc1155AssetData,
+    erc1155SellOrder,
+    erc721AssetData,
+    erc721SellOrder,
+} = require('../src');
+const { addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const ERC721Mock = artifacts.require('ERC721Mock');
+const ERC1155Mock = artifacts.require('ERC1155Mock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const ERC721Proxy = artifacts.require('ERC721Proxy');
+const ERC1155Proxy = artifacts.require('ERC1155Proxy');
+
+describe('OrderHealth', async () => {
+    const addr1 = addr1Wallet.getAddressString();
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.nft = await ERC721Mock.new('NFT', 'NFT');
+        this.items = await ERC1155Mock.new('');
+        this.swap = await LimitOrderProtocol.new();
+        this.erc721Proxy = await ERC721Proxy.new(this.swap.address);
+        this.erc1155Proxy = await ERC1155Proxy.new(this.swap.address);
+
+        await this.dai.mint(addr1, '150');
+        await this.dai.approve(this.swap.address, '1000', { from: addr1 });
+    });
+
+    const daiOrder = (makingAmount, params = {}, interactions = {}) => ({
+        order: buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount, takingAmount: 10, from: addr1, ...params }, interactions),
+    });
+
+    const check = (entries) => checkOrderHealth(web3, entries, {
+        protocol: this.swap.address,
+        proxies: { [this.erc721Proxy.address]: 'ERC721', [this.erc1155Proxy.address]: 'ERC1155' },
+    });
+
+    it('should decode NFT asset data', async () => {
+        expect(decodeErc721AssetData(erc721AssetData(this.nft.address, 7))).to.deep.equal({ token: this.nft.address, tokenId: '7' });
+        expect(decodeErc1155AssetData(erc1155AssetData(this.items.address, 3, '0xabcd'))).to.deep.equal({ token: this.items.address, tokenId: '3', data: '0xabcd' });
+    });
+
+    it('should share maker funds between orders in the given order', async () => {
+        const entries = [
+            daiOrder(100),
+            { ...daiOrder(100, { salt: '2' }), remaining: '40' },
+            daiOrder(100, { salt: '3' }, { getMakingAmount: '', getTakingAmount: '' }),
+            daiOrder(100, { salt: '4' }),
+            daiOrder(100, { salt: '5' }),
+        ];
+
+        expect((await check(entries)).map(({ status, available }) => [status, available])).to.deep.equal([
+            ['fillable', '100'],
+            ['fillable', '40'],
+            ['dead', '0'],
+            ['partiallyFillable', '10'],
+            ['dead', '0'],
+        ]);
+
+        await this.dai.approve(this.swap.address, '120', { from: addr1 });
+        expect(await check(entries.slice(2))).to.deep.equal([
+            { index: 0, status: 'fillable', required: '100', available: '100', balance: '150', allowance: '120' },
+            { index: 1, status: 'partiallyFillable', required: '100', available: '20', balance: '150', allowance: '120' },
+            { index: 2, status: 'dead', required: '100', available: '0', balance: '150', allowance: '120' },
+        ]);
+    });
+
+    it('should check RFQ orders', async () => {
+        const expiration = (await time.latest()).addn(100);
+        const order = buildOrderRFQ(encodeInfo(1, expiration), this.dai.address, this.weth.address, 200, 10, addr1);
+
+        expect((await check([{ order }]))[0]).to.deep.include({ status: 'partiallyFillable', available: '150' });
+    });
+
+    it('should check approvals to NFT proxies', async () => {
+        await this.nft.mint(addr1, 7);
+        await this.items.mint(addr1, 3, 10, '0x');
+        const params = { takerAsset: this.dai.address, takingAmount: '100', from: addr1 };
+        const entries = [
+            { order: erc721SellOrder(params, { proxy: this.erc721Proxy.address, token: this.nft.address, tokenId: 7 }) },
+            { order: erc721SellOrder(params, { proxy: this.erc721Proxy.address, token: this.nft.address, tokenId: 8 }) },
+            { order: erc1155SellOrder(params, { proxy: this.erc1155Proxy.address, token: this.items.address, tokenId: 3, amount: 6, partialFill: true }) },
+            { order: erc1155SellOrder(params, { proxy: this.erc1155Proxy.address, token: this.items.address, tokenId: 3, amount: 6 }) },
+        ];
+
+        expect((await check(entries)).map(({ status }) => status)).to.deep.equal(['dead', 'dead', 'dead', 'dead']);
+
+        await this.nft.approve(this.erc721Proxy.address, 7, { from: addr1 });
+        await this.items.setApprovalForAll(this.erc1155Proxy.address, true, { from: addr1 });
+        expect((await check(entries)).map(({ status, available }) => [status, available])).to.deep.equal([
+            ['fillable', '1'],
+            ['dead', '0'],
+            ['fillable', '6'],
+            ['dead', '0'],
+        ]);
+
+        const unknownProxy = await checkOrderHealth(web3, [entries[0], daiOrder(100)], { protocol: this.swap.address });
+        expect(unknownProxy).to.deep.equal([
+            { index: 0, status: 'unknown', reason: `maker asset is routed through unknown proxy ${this.erc721Proxy.address}`, required: '1' },
+            { index: 1, status: 'fillable', required: '100', available: '100', balance: '150', allowance: '1000' },
+        ]);
+    });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('@1inch/solidity-utils');
+const { buildOrder, buildOrderRFQ, decodeOrder, detectProtocolFlavour, hashOrder, hashOrderRFQ, signOrder, signOrderRFQ } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const LimitOrderProtocolPro = artifacts.require('LimitOrderProtocolPro');
+
+describe('OrderUtils', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    it('hashOrder should match OrderLib.hash', async () => {
+        const order = buildOrder(
+            {
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: 1,
+                takingAmount: 1,
+                from: addr1,
+            },
+            {
+                predicate: this.swap.contract.methods.timestampBelow(0xff00000000).encodeABI(),
+            },
+        );
+
+        expect(hashOrder(order, this.chainId, this.swap.address)).to.equal(await this.swap.hashOrder(order));
+    });
+
+    it('hashOrderRFQ should match OrderRFQLib.hash', async () => {
+        const order = buildOrderRFQ('1', this.dai.address, this.weth.address, 1, 1, addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+        const receipt = await this.swap.fillOrderRFQ(order, signature, 1, 0);
+
+        expect(hashOrderRFQ(order, this.chainId, this.swap.address)).to.equal(receipt.logs[0].args.orderHash);
+    });
+
+    it('hashes should depend on domain', async () => {
+        const order = buildOrderRFQ('1', this.dai.address, this.weth.address, 1, 1, addr1);
+
+        expect(hashOrderRFQ(order, this.chainId, this.swap.address)).to.not.equal(hashOrderRFQ(order, this.chainId + 1, this.swap.address));
+        expect(hashOrderRFQ(order, this.chainId, this.swap.address)).to.not.equal(hashOrderRFQ(order, this.chainId, this.dai.address));
+    });
+
+    it('should hash and sign orders for the Pro protocol domain', async () => {
+        const pro = await LimitOrderProtocolPro.new();
+        await this.dai.approve(pro.address, '1000000', { from: addr1 });
+        await this.weth.approve(pro.address, '1000000');
+        const order = buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr1 });
+
+        expect(hashOrder(order, this.chainId, pro.address, 'pro')).to.equal(await pro.hashOrder(order));
+        expect(hashOrder(order, this.chainId, pro.address)).to.not.equal(await pro.hashOrder(order));
+        expect(() => hashOrder(order, this.chainId, pro.address, 'v2')).to.throw('Unknown protocol flavour: v2');
+
+        await expect(pro.fillOrder(order, signOrder(order, this.chainId, pro.address, addr1Wallet.getPrivateKey()), '0x', 1, 0, 1))
+            .to.eventually.be.rejectedWith('BadSignature()');
+        await pro.fillOrder(order, signOrder(order, this.chainId, pro.address, addr1Wallet.getPrivateKey(), 'pro'), '0x', 1, 0, 1);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('1');
+    });
+
+    it('detectProtocolFlavour should check DOMAIN_SEPARATOR', async () => {
+        const pro = await LimitOrderProtocolPro.new();
+
+        expect(await detectProtocolFlavour(web3, this.swap.address)).to.equal('standard');
+        expect(await detectProtocolFlavour(web3, pro.address, this.chainId)).to.equal('pro');
+        await expect(detectProtocolFlavour(web3, pro.address, this.chainId + 1))
+            .to.eventually.be.rejectedWith(`matches no protocol flavour on chain ${this.chainId + 1}`);
+    });
+
+    describe('decodeOrder', async () => {
+        const interactions = {
+            makerAssetData: '0x01',
+            takerAssetData: '0x',
+            getMakingAmount: '0x78',
+            getTakingAmount: '0x0203',
+            predicate: '0x04050607',
+            permit: '0x',
+            preInteraction: '0x08',
+            postInteraction: '0x090a',
+        };
+
+        it('should be inverse of buildOrder', async () => {
+            const order = buildOrder(
+                {
+                    makerAsset: this.dai.address,
+                    takerAsset: this.weth.address,
+                    makingAmount: 1,
+                    takingAmount: 1,
+                    from: addr1,
+                },
+                interactions,
+            );
+
+            expect(decodeOrder(order)).to.deep.equal({ ...interactions, errors: [] });
+        });
+
+        it('should flag non-monotonic offsets', async () => {
+            const order = buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1 }, interactions);
+            order.offsets = '3'; // makerAssetData ends at 3, the rest end at 0
+
+            const decoded = decodeOrder(order);
+            expect(decoded.makerAssetData).to.equal('0x017802');
+            expect(decoded.takerAssetData).to.be.null;
+            expect(decoded.errors[0]).to.equal('takerAssetData: offsets are not monotonic (3 > 0)');
+        });
+
+        it('should flag offsets exceeding interactions', async () => {
+            const order = buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1 }, interactions);
+            order.interactions = order.interactions.substring(0, order.interactions.length - 2);
+
+            const decoded = decodeOrder(order);
+            expect(decoded.preInteraction).to.equal('0x08');
+            expect(decoded.postInteraction).to.be.null;
+            expect(decoded.errors).to.deep.equal(['postInteraction: offset 11 exceeds interactions length 10']);
+        });
+
+        it('should flag trailing bytes', async () => {
+            const order = buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1 }, interactions);
+            order.interactions += 'ff';
+
+            expect(decodeOrder(order).errors).to.deep.equal(['interactions: 1 trailing bytes are not covered by offsets']);
+        });
+    });
+});
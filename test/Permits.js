@@ -0,0 +1,145 @@
+const { expect, constants } = require('@1inch/solidity-utils');
+const {
+    buildOrder,
+    buildOrderRFQ,
+    getPermit,
+    permit2AssetData,
+    signOrder,
+    signOrderRFQ,
+    withTarget,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const DaiLikePermitMock = artifacts.require('DaiLikePermitMock');
+const Permit2Mock = artifacts.require('Permit2Mock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('Permits', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await DaiLikePermitMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr0, '1000');
+        await this.dai.mint(addr1, '1000');
+        await this.weth.mint(addr0, '1000');
+        await this.weth.mint(addr1, '1000');
+    });
+
+    const wethForDai = (interactions) => buildOrder(
+        {
+            makerAsset: this.weth.address,
+            takerAsset: this.dai.address,
+            makingAmount: '10',
+            takingAmount: '100',
+            from: addr1,
+        },
+        interactions,
+    );
+
+    it('should fill order with EIP-2612 permit of maker', async () => {
+        await this.dai.approve(this.swap.address, '100');
+        const permit = await getPermit(web3, {
+            token: this.weth.address,
+            owner: addr1,
+            spender: this.swap.address,
+            value: '10',
+            privateKey: addr1Wallet.getPrivateKey(),
+        });
+        const order = wethForDai({ permit: withTarget(this.weth.address, permit) });
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+        await this.swap.fillOrder(order, signature, '0x', 10, 0, 100);
+
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal('1010');
+        expect(await this.weth.nonces(addr1)).to.be.bignumber.equal('1');
+    });
+
+    it('should fill order with DAI permit of taker', async () => {
+        await this.weth.approve(this.swap.address, '10', { from: addr1 });
+        const order = wethForDai();
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        const permit = await getPermit(web3, {
+            type: 'DAI',
+            token: this.dai.address,
+            owner: addr0,
+            spender: this.swap.address,
+            privateKey: addr0Wallet.getPrivateKey(),
+        });
+
+        await this.swap.fillOrderToWithPermit(order, signature, '0x', 10, 0, 100, addr0, withTarget(this.dai.address, permit));
+
+        expect(await this.dai.balanceOf(addr1)).to.be.bignumber.equal('1100');
+        expect(await this.dai.allowance(addr0, this.swap.address)).to.be.bignumber.equal(constants.MAX_UINT256);
+    });
+
+    it('should fill RFQ order with DAI permit of taker', async () => {
+        await this.weth.approve(this.swap.address, '10', { from: addr1 });
+        const order = buildOrderRFQ('1', this.weth.address, this.dai.address, 10, 100, addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        const permit = await getPermit(web3, {
+            type: 'DAI',
+            token: this.dai.address,
+            owner: addr0,
+            spender: this.swap.address,
+            privateKey: addr0Wallet.getPrivateKey(),
+        });
+
+        await this.swap.fillOrderRFQToWithPermit(order, signature, 0, 100, addr0, permit);
+
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal('1010');
+    });
+
+    it('should fill order with Permit2 style permit of maker', async () => {
+        const permit2 = await Permit2Mock.new(this.swap.address);
+        await this.weth.approve(permit2.address, '1000', { from: addr1 });
+        await this.dai.approve(this.swap.address, '100');
+        const permit = await getPermit(web3, {
+            type: 'Permit2',
+            permit2: permit2.address,
+            token: this.weth.address,
+            owner: addr1,
+            spender: this.swap.address,
+            value: '10',
+            privateKey: addr1Wallet.getPrivateKey(),
+        });
+        const order = buildOrder(
+            {
+                makerAsset: permit2.address,
+                takerAsset: this.dai.address,
+                makingAmount: '10',
+                takingAmount: '100',
+                from: addr1,
+            },
+            {
+                makerAssetData: permit2AssetData(this.weth.address),
+                permit: withTarget(permit2.address, permit),
+            },
+        );
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+
+        await this.swap.fillOrder(order, signature, '0x', 10, 0, 100);
+
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal('1010');
+        expect(await permit2.allowance(addr1, this.weth.address)).to.be.bignumber.equal('0');
+        expect(await permit2.nonces(addr1, this.weth.address)).to.be.bignumber.equal('1');
+    });
+
+    it('should revoke allowance with DAI permit', async () => {
+        const params = { type: 'DAI', token: this.dai.address, owner: addr0, spender: addr1, privateKey: addr0Wallet.getPrivateKey() };
+        const selector = web3.eth.abi.encodeFunctionSignature('permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)');
+        const data = (permit) => selector + permit.substring(2);
+
+        await web3.eth.sendTransaction({ from: addr0, to: this.dai.address, data: data(await getPermit(web3, params)), gas: 100000 });
+        expect(await this.dai.allowance(addr0, addr1)).to.be.bignumber.gt('0');
+        await web3.eth.sendTransaction({ from: addr0, to: this.dai.address, data: data(await getPermit(web3, { ...params, allowed: false })), gas: 100000 });
+        expect(await this.dai.allowance(addr0, addr1)).to.be.bignumber.equal('0');
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('@1inch/solidity-utils');
+const { predicates, buildOrder, evaluatePredicate, formatEvaluation } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('PredicateEvaluator', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const { and, or, lt, gt, timestampBelow, nonceEquals, timestampBelowAndNonceEquals, arbitraryStaticCall } = predicates;
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000');
+        this.balanceCall = arbitraryStaticCall(this.dai.address, this.dai.contract.methods.balanceOf(addr1).encodeABI());
+    });
+
+    const checkPredicate = (predicate) => this.swap.checkPredicate(buildOrder(
+        {
+            makerAsset: this.dai.address,
+            takerAsset: this.weth.address,
+            makingAmount: 1,
+            takingAmount: 1,
+            from: addr1,
+        },
+        { predicate },
+    ));
+
+    it('should agree with checkPredicate', async () => {
+        await this.swap.advanceNonce(2, { from: addr1 });
+
+        for (const predicate of [
+            and(timestampBelow(0xff00000000), gt('999', this.balanceCall)),
+            and(timestampBelow(0xff00000000), gt('1000', this.balanceCall)),
+            or(timestampBelow(0xff), lt('1001', this.balanceCall), nonceEquals(addr1, 2)),
+            or(timestampBelowAndNonceEquals(0xff00000000, 1, addr1), timestampBelowAndNonceEquals(0xff00000000, 2, addr0)),
+            timestampBelowAndNonceEquals(0xff00000000, 2, addr1),
+            this.swap.contract.methods.nonce(addr1).encodeABI(),
+        ]) {
+            const { passed } = await evaluatePredicate(web3, this.swap.address, predicate);
+            expect(passed).to.equal(await checkPredicate(predicate));
+        }
+    });
+
+    it('should explain failing node', async () => {
+        const predicate = and(timestampBelow(0xff00000000), lt('100', this.balanceCall), nonceEquals(addr1, 0));
+        const { passed, tree } = await evaluatePredicate(web3, this.swap.address, predicate, { timestamp: 1000 });
+
+        expect(passed).to.be.false;
+        expect(tree.args.map(node => node.result)).to.deep.equal(['1', '0', undefined]);
+        expect(tree.args[1].arg.result).to.equal('1000');
+        expect(tree.args[2].skipped).to.be.true;
+        expect(formatEvaluation(tree)).to.equal([
+            '[ok] and = 0',
+            '  [ok] timestampBelow(1095216660480) at timestamp 1000 = 1',
+            '  [ok] lt(100, ...) = 0',
+            `    [ok] arbitraryStaticCall(${this.dai.address}, ${this.dai.contract.methods.balanceOf(addr1).encodeABI()}) = 1000`,
+            `  [skipped] nonceEquals(${web3.utils.toChecksumAddress(addr1)}, 0)`,
+        ].join('\n'));
+    });
+
+    it('should report reverting static call', async () => {
+        const predicate = or(timestampBelow(0xff), arbitraryStaticCall(addr0, '0x'));
+        const { passed, revert, tree } = await evaluatePredicate(web3, this.swap.address, predicate);
+
+        expect(passed).to.be.false;
+        expect(revert).to.equal('ArbitraryStaticCallFailed');
+        expect(tree.args[1].revert).to.equal('ArbitraryStaticCallFailed');
+        await expect(checkPredicate(predicate)).to.eventually.be.rejectedWith('ArbitraryStaticCallFailed()');
+    });
+
+    it('should report revert swallowed by self static call', async () => {
+        const predicate = or(timestampBelow(0xff), gt('0', arbitraryStaticCall(addr0, '0x')));
+        const { passed, revert, tree } = await evaluatePredicate(web3, this.swap.address, predicate);
+
+        expect(passed).to.be.false;
+        expect(revert).to.be.undefined;
+        expect(tree.args[1].success).to.be.false;
+        expect(tree.args[1].error).to.equal('ArbitraryStaticCallFailed');
+        expect(await checkPredicate(predicate)).to.be.false;
+    });
+});
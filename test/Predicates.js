@@ -0,0 +1,96 @@
+const { expect } = require('@1inch/solidity-utils');
+const { predicates, buildOrder, signOrder } = require('../src');
+const { addr0Wallet, addr1Wallet, joinStaticCalls } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('Predicates', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const { and, or, lt, gt, eq, timestampBelow, nonceEquals, timestampBelowAndNonceEquals, arbitraryStaticCall } = predicates;
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    it('should encode the same calldata as the contract ABI', async () => {
+        const methods = this.swap.contract.methods;
+        const balanceCall = this.dai.contract.methods.balanceOf(addr1).encodeABI();
+
+        const tsBelow = methods.timestampBelow(0xff0000).encodeABI();
+        const gtBalance = methods.gt('100000', methods.arbitraryStaticCall(this.dai.address, balanceCall).encodeABI()).encodeABI();
+        const { offsets, data } = joinStaticCalls([tsBelow, gtBalance]);
+
+        expect(
+            or(timestampBelow(0xff0000), gt('100000', arbitraryStaticCall(this.dai.address, balanceCall))),
+        ).to.equal(methods.or(offsets, data).encodeABI());
+        expect(nonceEquals(addr1, 3)).to.equal(methods.nonceEquals(addr1, 3).encodeABI());
+        expect(eq('5', tsBelow)).to.equal(methods.eq('5', tsBelow).encodeABI());
+    });
+
+    it('should parse and format predicate', async () => {
+        const balanceCall = this.dai.contract.methods.balanceOf(addr1).encodeABI();
+        const predicate = and(
+            timestampBelow(1000),
+            lt('100000', arbitraryStaticCall(this.dai.address, balanceCall)),
+            timestampBelowAndNonceEquals(2000, 7, addr1),
+            nonceEquals(addr1, 0),
+        );
+
+        const tree = predicates.parsePredicate(predicate);
+        expect(tree.args[1]).to.deep.equal({
+            type: 'lt',
+            value: '100000',
+            arg: { type: 'arbitraryStaticCall', target: this.dai.address, data: balanceCall },
+        });
+        expect(tree.args[2]).to.deep.equal({ type: 'timestampBelowAndNonceEquals', time: '2000', nonce: '7', account: web3.utils.toChecksumAddress(addr1) });
+        expect(predicates.buildPredicate(tree)).to.equal(predicate);
+        expect(predicates.formatPredicate(predicate)).to.equal(
+            'and(timestampBelow(1000), ' +
+            `lt(100000, arbitraryStaticCall(${this.dai.address}, ${balanceCall})), ` +
+            `timestampBelowAndNonceEquals(2000, 7, ${web3.utils.toChecksumAddress(addr1)}), ` +
+            `nonceEquals(${web3.utils.toChecksumAddress(addr1)}, 0))`,
+        );
+    });
+
+    it('should format unknown calls', async () => {
+        const call = this.swap.contract.methods.nonce(addr1).encodeABI();
+        expect(predicates.formatPredicate(eq('0', call))).to.equal(`eq(0, call(${call}))`);
+    });
+
+    it('should be accepted by checkPredicate', async () => {
+        const balanceCall = this.dai.contract.methods.balanceOf(addr1).encodeABI();
+        const passing = and(timestampBelow(0xff00000000), gt('100', arbitraryStaticCall(this.dai.address, balanceCall)));
+        const failing = or(timestampBelow(0xff), lt('100', arbitraryStaticCall(this.dai.address, balanceCall)));
+
+        for (const [predicate, expected] of [[passing, true], [failing, false]]) {
+            const order = buildOrder(
+                {
+                    makerAsset: this.dai.address,
+                    takerAsset: this.weth.address,
+                    makingAmount: 1,
+                    takingAmount: 1,
+                    from: addr1,
+                },
+                { predicate },
+            );
+            expect(await this.swap.checkPredicate(order)).to.equal(expected);
+        }
+
+        const order = buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr1 }, { predicate: passing });
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        await this.swap.fillOrder(order, signature, '0x', 1, 0, 1);
+    });
+});
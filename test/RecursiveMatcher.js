@@ -0,0 +1,112 @@
+const { expect, ether } = require('@1inch/solidity-utils');
+const { buildMatchTransaction, buildOrder, findMatches, signOrder, simulateMatch } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const RecursiveMatcher = artifacts.require('RecursiveMatcher');
+
+describe('RecursiveMatcher planner', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const beneficiary = '0x000000000000000000000000000000000000beef';
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.usdc = await TokenMock.new('USDC', 'USDC');
+        this.swap = await LimitOrderProtocol.new();
+        this.matcher = await RecursiveMatcher.new();
+
+        for (const token of [this.dai, this.weth, this.usdc]) {
+            for (const addr of [addr0, addr1]) {
+                await token.mint(addr, ether('1000'));
+                await token.approve(this.swap.address, ether('1000'), { from: addr });
+            }
+        }
+    });
+
+    const makeEntry = (wallet, makerAsset, takerAsset, makingAmount, takingAmount) => {
+        const order = buildOrder({
+            makerAsset: makerAsset.address,
+            takerAsset: takerAsset.address,
+            makingAmount,
+            takingAmount,
+            from: wallet.getAddressString(),
+        });
+        const signature = signOrder(order, this.chainId, this.swap.address, wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    const options = () => ({ matcher: this.matcher.address, protocol: this.swap.address, beneficiary });
+
+    it('should match crossing orders and send surplus to beneficiary', async () => {
+        const entries = [
+            makeEntry(addr0Wallet, this.dai, this.weth, ether('100'), ether('0.1')),
+            makeEntry(addr1Wallet, this.dai, this.usdc, ether('100'), ether('100')),
+            makeEntry(addr1Wallet, this.weth, this.dai, ether('0.1'), ether('90')),
+        ];
+        const matches = await findMatches(entries);
+
+        expect(matches.length).to.equal(1);
+        expect(matches[0].legs.map(({ index, makingAmount, takingAmount }) => [index, makingAmount, takingAmount])).to.deep.equal([
+            [0, ether('100').toString(), ether('0.1').toString()],
+            [2, ether('0.1').toString(), ether('90').toString()],
+        ]);
+        expect(matches[0].surplus).to.deep.equal({ asset: this.dai.address, amount: ether('10').toString() });
+
+        const tx = buildMatchTransaction(matches[0], options());
+        expect((await simulateMatch(web3, tx, addr0)).success).to.be.true;
+        await web3.eth.sendTransaction({ from: addr0, to: tx.to, data: tx.data, gas: 1000000 });
+
+        expect(await this.dai.balanceOf(beneficiary)).to.be.bignumber.equal(ether('10'));
+        expect(await this.dai.balanceOf(addr1)).to.be.bignumber.equal(ether('1090'));
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal(ether('1000.1'));
+    });
+
+    it('should match three-leg cycle limited by remaining amount', async () => {
+        const entries = [
+            makeEntry(addr1Wallet, this.dai, this.weth, ether('100'), ether('0.1')),
+            makeEntry(addr0Wallet, this.weth, this.usdc, ether('0.05'), ether('50')),
+            makeEntry(addr1Wallet, this.usdc, this.dai, ether('100'), ether('100')),
+        ];
+        const [match, ...rest] = await findMatches(entries);
+
+        expect(rest).to.be.empty;
+        expect(match.legs.map(({ makingAmount }) => makingAmount)).to.deep.equal([ether('50'), ether('0.05'), ether('50')].map(String));
+        expect(match.surplus.amount).to.equal('0');
+
+        const tx = buildMatchTransaction(match, options());
+        await web3.eth.sendTransaction({ from: addr0, to: tx.to, data: tx.data, gas: 1000000 });
+
+        expect(await this.weth.balanceOf(addr0)).to.be.bignumber.equal(ether('999.95'));
+        expect(await this.usdc.balanceOf(addr0)).to.be.bignumber.equal(ether('1050'));
+        expect(await this.dai.balanceOf(addr1)).to.be.bignumber.equal(ether('1000'));
+        expect(await this.weth.balanceOf(addr1)).to.be.bignumber.equal(ether('1000.05'));
+    });
+
+    it('should skip orders which do not cross', async () => {
+        const entries = [
+            makeEntry(addr0Wallet, this.dai, this.weth, ether('100'), ether('0.2')),
+            makeEntry(addr1Wallet, this.weth, this.dai, ether('0.1'), ether('100')),
+        ];
+        expect(await findMatches(entries)).to.be.empty;
+        expect(await findMatches(entries.map(entry => ({ ...entry, remaining: '0' })))).to.be.empty;
+    });
+
+    it('should report failing simulation', async () => {
+        const entries = [
+            makeEntry(addr0Wallet, this.dai, this.weth, ether('100'), ether('0.1')),
+            makeEntry(addr1Wallet, this.weth, this.dai, ether('0.1'), ether('100')),
+        ];
+        const [match] = await findMatches(entries);
+        await this.weth.approve(this.swap.address, '0', { from: addr1 });
+
+        const result = await simulateMatch(web3, buildMatchTransaction(match, options()), addr0);
+        expect(result.success).to.be.false;
+        expect(result.error).to.include('revert');
+    });
+});
@@ -0,0 +1,108 @@
+const { expect } = require('@1inch/solidity-utils');
+const {
+    AMOUNT_MASK,
+    buildOrderRFQ,
+    compactSignature,
+    decodeFillOrderRFQCompact,
+    encodeFillOrderRFQCompact,
+    signOrderRFQ,
+} = require('../src');
+const { addr0Wallet, addr1Wallet, trim0x } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const ERC1271WalletMock = artifacts.require('ERC1271WalletMock');
+
+describe('RfqCompact', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.wallet = await ERC1271WalletMock.new(addr1);
+
+        await this.dai.mint(addr1, '1000000');
+        await this.dai.mint(this.wallet.address, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.wallet.approve(this.dai.address, this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    const makeOrder = (maker = addr1) => {
+        const order = buildOrderRFQ('1', this.dai.address, this.weth.address, '100', '10', maker);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        return { order, signature };
+    };
+
+    const send = (data) => web3.eth.sendTransaction({ from: addr0, to: this.swap.address, data, gas: 300000 });
+
+    it('should fill by making amount with EOA signature', async () => {
+        const { order, signature } = makeOrder();
+        const { r, vs, amount, data } = encodeFillOrderRFQCompact(order, signature, 50);
+
+        expect({ r, vs }).to.deep.equal(compactSignature(signature));
+        expect(data).to.equal(this.swap.contract.methods.fillOrderRFQCompact(order, r, vs, amount).encodeABI());
+        await send(data);
+
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('50');
+        expect(await this.weth.balanceOf(addr1)).to.be.bignumber.equal('5');
+    });
+
+    it('should fill by taking amount with EIP-2098 signature', async () => {
+        const { order, signature } = makeOrder();
+        const { r, vs } = compactSignature(signature);
+        await send(encodeFillOrderRFQCompact(order, r + trim0x(vs), 3, { side: 'taking' }).data);
+
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('30');
+        expect(await this.weth.balanceOf(addr1)).to.be.bignumber.equal('3');
+    });
+
+    it('should fill with 64 and 65 byte smart contract signatures', async () => {
+        const { order, signature } = makeOrder(this.wallet.address);
+        await send(encodeFillOrderRFQCompact(order, signature, 0, { smartContract: true }).data);
+        expect(await this.weth.balanceOf(this.wallet.address)).to.be.bignumber.equal('10');
+
+        const second = buildOrderRFQ('2', this.dai.address, this.weth.address, '100', '10', this.wallet.address);
+        const { r, vs } = compactSignature(signOrderRFQ(second, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()));
+        await send(encodeFillOrderRFQCompact(second, r + trim0x(vs), 0, { smartContract: true }).data);
+        expect(await this.weth.balanceOf(this.wallet.address)).to.be.bignumber.equal('20');
+    });
+
+    it('should reject unsupported arguments', async () => {
+        const { order, signature } = makeOrder();
+        expect(() => encodeFillOrderRFQCompact(order, signature, AMOUNT_MASK.addn(1)))
+            .to.throw(`Amount ${AMOUNT_MASK.addn(1)} does not fit into _AMOUNT_MASK`);
+        expect(() => encodeFillOrderRFQCompact(order, signature + '00', 1))
+            .to.throw('Compact fill supports 64 and 65 byte signatures only, got 66 bytes');
+        expect(() => encodeFillOrderRFQCompact(order, signature.substring(0, 130) + '01', 1))
+            .to.throw('Signature v must be 27 or 28, got 1');
+        expect(() => encodeFillOrderRFQCompact(order, signature.substring(0, 66) + 'f'.repeat(64) + signature.substring(130), 1))
+            .to.throw('Signature s must not exceed the secp256k1 half order');
+        expect(() => encodeFillOrderRFQCompact(order, signature.substring(0, 66) + '7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a1' + signature.substring(130), 1))
+            .to.throw('Signature s must not exceed the secp256k1 half order');
+        expect(() => encodeFillOrderRFQCompact(order, signature, 1, { side: 'both' })).to.throw('Unknown side: both');
+    });
+
+    it('should decode calldata', async () => {
+        const { order, signature } = makeOrder(this.wallet.address);
+        const { data } = encodeFillOrderRFQCompact(order, signature, AMOUNT_MASK, { side: 'taking', smartContract: true });
+
+        expect(decodeFillOrderRFQCompact(data)).to.deep.include({
+            order: { ...order, maker: this.wallet.address, info: '1' },
+            amount: AMOUNT_MASK.toString(),
+            side: 'taking',
+            smartContract: true,
+            signature65: true,
+            signature,
+        });
+        const { r, vs } = compactSignature(signature);
+        const compact = decodeFillOrderRFQCompact(encodeFillOrderRFQCompact(order, r + trim0x(vs), 1).data);
+        expect(compact).to.deep.include({ amount: '1', side: 'making', smartContract: false, signature65: false, signature });
+    });
+});
@@ -0,0 +1,100 @@
+const { expect } = require('@1inch/solidity-utils');
+const {
+    buildCancelBatches,
+    buildOrderRFQ,
+    decodeInfo,
+    encodeInfo,
+    invalidatorPosition,
+    isInvalidated,
+    readInvalidators,
+    signOrderRFQ,
+    usedIds,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('RfqInvalidator', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+    });
+
+    const fill = async (info) => {
+        const order = buildOrderRFQ(info, this.dai.address, this.weth.address, '1', '1', addr1);
+        const signature = signOrderRFQ(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        await this.swap.fillOrderRFQ(order, signature, 1, 0);
+    };
+
+    it('should encode and decode info', async () => {
+        const info = encodeInfo('300', '0xffffffffff');
+        expect(info).to.equal(BigInt('0xffffffffff000000000000012c').toString());
+        expect(decodeInfo(info)).to.deep.equal({ id: '300', expiration: '1099511627775' });
+        expect(invalidatorPosition(info)).to.deep.equal({ slot: '1', bit: 44 });
+        expect(() => encodeInfo('0x10000000000000000')).to.throw('Id and expiration must fit into 64 bits');
+        expect(() => encodeInfo('1', '0x10000000000000000')).to.throw('Id and expiration must fit into 64 bits');
+    });
+
+    it('should point to the bit set by a fill', async () => {
+        const info = encodeInfo('300', '0xffffffffff');
+        await fill(info);
+
+        const { slot } = invalidatorPosition(info);
+        const invalidator = await this.swap.invalidatorForOrderRFQ(addr1, slot);
+        expect(invalidator.toString()).to.equal((1n << 44n).toString());
+        expect(isInvalidated(invalidator, info)).to.be.true;
+        expect(isInvalidated(invalidator, encodeInfo('301'))).to.be.false;
+    });
+
+    it('should report used ids', async () => {
+        await fill(encodeInfo('3'));
+        await fill(encodeInfo('255'));
+        await fill(encodeInfo('256'));
+        await fill(encodeInfo('1000'));
+
+        const invalidators = await readInvalidators(web3, this.swap.address, addr1, '4', '999');
+        expect(Object.keys(invalidators)).to.deep.equal(['0', '1', '2', '3']);
+        expect(usedIds(invalidators, '4', '999')).to.deep.equal(['255', '256']);
+        expect(usedIds(invalidators, '0', '999')).to.deep.equal(['3', '255', '256']);
+    });
+
+    it('should build one cancellation per slot skipping used ids', async () => {
+        await fill(encodeInfo('10'));
+        await this.swap.methods['cancelOrderRFQ(uint256,uint256)']('256', ((1n << 256n) - 1n).toString(), { from: addr1 });
+
+        const invalidators = await readInvalidators(web3, this.swap.address, addr1, '5', '600');
+        const batches = buildCancelBatches('5', '600', invalidators);
+        expect(batches).to.deep.equal([
+            {
+                orderInfo: '5',
+                additionalMask: ((1n << 256n) - (1n << 5n) - (1n << 10n)).toString(),
+            },
+            {
+                orderInfo: '512',
+                additionalMask: ((1n << 89n) - 1n).toString(),
+            },
+        ]);
+
+        for (const { orderInfo, additionalMask } of batches) {
+            await this.swap.methods['cancelOrderRFQ(uint256,uint256)'](orderInfo, additionalMask, { from: addr1 });
+        }
+        const after = await readInvalidators(web3, this.swap.address, addr1, '0', '700');
+        expect(usedIds(after, '0', '700')).to.have.lengthOf(596);
+        expect(usedIds(after, '0', '4')).to.deep.equal([]);
+        expect(usedIds(after, '601', '700')).to.deep.equal([]);
+        expect(buildCancelBatches('5', '600', after)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,108 @@
+const { expect, time } = require('@1inch/solidity-utils');
+const {
+    buildOrder,
+    decodeOrder,
+    evaluatePredicate,
+    parseSeriesNonceEquals,
+    predicates,
+    previewAdvanceNonce,
+    readSeriesNonces,
+    seriesNonceEquals,
+    seriesTimestampBelowAndNonceEquals,
+    signOrder,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const SeriesNonceManager = artifacts.require('SeriesNonceManager');
+
+describe('SeriesNonces', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const { decodeTimeNonceAccount, encodeTimeNonceAccount, or, parsePredicate, timestampBelow } = predicates;
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.seriesNonceManager = await SeriesNonceManager.new();
+
+        await this.dai.mint(addr1, '100');
+        await this.weth.mint(addr0, '100');
+        await this.dai.approve(this.swap.address, '100', { from: addr1 });
+        await this.weth.approve(this.swap.address, '100');
+    });
+
+    const orderWith = (predicate, salt = '1') => buildOrder(
+        { salt, makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 1, takingAmount: 1, from: addr1 },
+        { predicate },
+    );
+
+    it('should pack time, nonce and account into one word', async () => {
+        const word = encodeTimeNonceAccount(0xff0000, 5, addr1);
+
+        expect(decodeTimeNonceAccount(word)).to.deep.equal({ time: String(0xff0000), nonce: '5', account: web3.utils.toChecksumAddress(addr1) });
+        expect(await this.swap.timestampBelowAndNonceEquals(word)).to.be.false;
+        expect(await this.swap.timestampBelowAndNonceEquals(encodeTimeNonceAccount(0xff00000000, 0, addr1))).to.be.true;
+        expect(() => encodeTimeNonceAccount(0, '281474976710656', addr1)).to.throw('Time and nonce must fit into 48 bits');
+    });
+
+    it('should build series predicates and read nonces', async () => {
+        const snm = this.seriesNonceManager.address;
+        await this.seriesNonceManager.advanceNonce(3, 2, { from: addr1 });
+
+        expect(await readSeriesNonces(web3, snm, addr1, [0, 3])).to.deep.equal({ 0: '0', 3: '2' });
+        expect(() => seriesNonceEquals(snm, 256, addr1, 0)).to.throw('Series must be an uint8: 256');
+
+        const predicate = seriesTimestampBelowAndNonceEquals(snm, 3, 0xff00000000, 2, addr1);
+        expect(parseSeriesNonceEquals(parsePredicate(predicate).args[1], snm))
+            .to.deep.equal({ series: 3, maker: web3.utils.toChecksumAddress(addr1), nonce: '2' });
+        expect(parseSeriesNonceEquals(parsePredicate(predicate).args[0], snm)).to.be.undefined;
+
+        const order = orderWith(predicate);
+        await this.swap.fillOrder(order, signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()), '0x', 1, 0, 1);
+        expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('1');
+
+        await this.seriesNonceManager.increaseNonce(3, { from: addr1 });
+        const next = orderWith(predicate, '2');
+        await expect(this.swap.fillOrder(next, signOrder(next, this.chainId, this.swap.address, addr1Wallet.getPrivateKey()), '0x', 1, 0, 1))
+            .to.eventually.be.rejectedWith('PredicateIsNotTrue()');
+    });
+
+    it('should preview orders invalidated by advanceNonce', async () => {
+        const snm = this.seriesNonceManager.address;
+        const now = await time.latest();
+        const entries = [
+            seriesNonceEquals(snm, 1, addr1, 0),
+            seriesNonceEquals(snm, 1, addr1, 2),
+            seriesNonceEquals(snm, 2, addr1, 0),
+            seriesNonceEquals(snm, 1, addr0, 0),
+            or(timestampBelow(now.addn(1000)), seriesNonceEquals(snm, 1, addr1, 0)),
+            seriesTimestampBelowAndNonceEquals(snm, 1, now.addn(1000), 0, addr1),
+            seriesTimestampBelowAndNonceEquals(snm, 1, 1, 0, addr1),
+            '0x',
+        ].map((predicate, i) => ({ order: orderWith(predicate, String(i)) }));
+
+        const preview = await previewAdvanceNonce(web3, entries, { protocol: this.swap.address, seriesNonceManager: snm, maker: addr1, series: 1, amount: 2 });
+        expect(preview.map(({ passedBefore, passedAfter, invalidated }) => [passedBefore, passedAfter, invalidated])).to.deep.equal([
+            [true, false, true],
+            [false, true, false],
+            [true, true, false],
+            [true, true, false],
+            [true, true, false],
+            [true, false, true],
+            [false, false, false],
+            [true, true, false],
+        ]);
+
+        await this.seriesNonceManager.advanceNonce(1, 2, { from: addr1 });
+        for (const [i, { order }] of entries.slice(0, 7).entries()) {
+            const { passed } = await evaluatePredicate(web3, this.swap.address, decodeOrder(order).predicate);
+            expect(passed, `entry ${i}`).to.equal(preview[i].passedAfter);
+        }
+    });
+});
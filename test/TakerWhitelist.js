@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('@1inch/solidity-utils');
+const { run } = require('hardhat');
+const {
+    buildInteractionChain,
+    buildOrder,
+    buildOrderFile,
+    buildOrderRFQ,
+    listFillableOrders,
+    predictWhitelist,
+    signOrder,
+    takerStatuses,
+    whitelistCheckerHop,
+} = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const WhitelistChecker = artifacts.require('WhitelistChecker');
+const WhitelistRegistryMock = artifacts.require('WhitelistRegistryMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+
+describe('TakerWhitelist', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+    const stranger = '0x000000000000000000000000000000000000beef';
+
+    before(async () => {
+        this.chainId = await web3.eth.getChainId();
+    });
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+        this.registries = [await WhitelistRegistryMock.new(), await WhitelistRegistryMock.new()];
+        this.checkers = [
+            await WhitelistChecker.new(this.registries[0].address),
+            await WhitelistChecker.new(this.registries[1].address),
+        ];
+
+        await this.dai.mint(addr1, '100');
+        await this.weth.mint(addr0, '100');
+        await this.dai.approve(this.swap.address, '100', { from: addr1 });
+        await this.weth.approve(this.swap.address, '100');
+        await this.registries[0].setStatus(addr0, 1);
+        await this.registries[1].setStatus(addr0, 1);
+        await this.registries[0].setStatus(stranger, 1);
+        await this.registries[1].setStatus(stranger, 2);
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lop-whitelist-'));
+    });
+
+    afterEach(async () => {
+        fs.rmSync(this.dir, { recursive: true });
+    });
+
+    const whitelistedOrder = (params = {}) => buildOrder(
+        { makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 10, takingAmount: 10, from: addr1, ...params },
+        { preInteraction: buildInteractionChain('preInteraction', this.checkers.map(({ address }) => whitelistCheckerHop(address))) },
+    );
+
+    const checkers = () => this.checkers.map(({ address }) => address);
+
+    it('should read statuses of many takers', async () => {
+        expect(await takerStatuses(web3, this.registries[1].address, [addr0, addr1, stranger])).to.deep.equal([
+            { taker: addr0, status: '1', whitelisted: true },
+            { taker: addr1, status: '0', whitelisted: false },
+            { taker: stranger, status: '2', whitelisted: false },
+        ]);
+    });
+
+    it('should predict TakerIsNotWhitelisted of the fill', async () => {
+        const order = whitelistedOrder();
+        const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+        const [checker0, checker1] = this.checkers.map(({ address }) => address);
+        const [registry0, registry1] = this.registries.map(({ address }) => address);
+
+        expect(await predictWhitelist(web3, order, stranger, { checkers: checkers() })).to.deep.equal({
+            error: 'TakerIsNotWhitelisted',
+            checks: [{ checker: checker0, registry: registry0, status: '1' }, { checker: checker1, registry: registry1, status: '2' }],
+        });
+        expect(await predictWhitelist(web3, order, addr1, { checkers: checkers() })).to.deep.equal({
+            error: 'TakerIsNotWhitelisted',
+            checks: [{ checker: checker0, registry: registry0, status: '0' }],
+        });
+        expect(await predictWhitelist(web3, order, addr0, { checkers: checkers() })).to.deep.equal({
+            checks: [{ checker: checker0, registry: registry0, status: '1' }, { checker: checker1, registry: registry1, status: '1' }],
+        });
+        await this.swap.fillOrder(order, signature, '0x', 5, 0, 5);
+
+        await this.registries[1].setStatus(addr0, 0);
+        expect((await predictWhitelist(web3, order, addr0, { checkers: checkers() })).error).to.equal('TakerIsNotWhitelisted');
+        await expect(this.swap.fillOrder(order, signature, '0x', 5, 0, 5)).to.eventually.be.rejectedWith('TakerIsNotWhitelisted()');
+    });
+
+    it('should list orders the taker can fill', async () => {
+        const entries = [
+            { order: whitelistedOrder() },
+            { order: whitelistedOrder({ allowedSender: addr1 }) },
+            { order: buildOrder({ makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: 10, takingAmount: 10, from: addr1 }) },
+            { order: buildOrderRFQ('1', this.dai.address, this.weth.address, 10, 10, addr1, addr1) },
+        ];
+
+        expect(await listFillableOrders(web3, entries, stranger, { checkers: checkers() })).to.deep.equal([
+            { index: 0, fillable: false, error: 'TakerIsNotWhitelisted' },
+            { index: 1, fillable: false, error: 'PrivateOrder' },
+            { index: 2, fillable: true },
+            { index: 3, fillable: false, error: 'RFQPrivateOrder' },
+        ]);
+        expect((await listFillableOrders(web3, entries, addr0, { checkers: checkers() })).map(({ fillable }) => fillable))
+            .to.deep.equal([true, false, true, false]);
+
+        const order = whitelistedOrder();
+        const broken = [
+            { order: { ...order, interactions: order.interactions.substring(0, 42) } },
+            { order: { ...order, interactions: order.interactions + '00' } },
+            entries[2],
+        ];
+        const result = await listFillableOrders(web3, broken, addr0, { checkers: checkers() });
+        expect(result[0]).to.deep.include({ index: 0, fillable: false });
+        expect(result[0].error).to.match(/^preInteraction: offset \d+ exceeds interactions length 20/);
+        expect(result.slice(1)).to.deep.equal([{ index: 1, fillable: true }, { index: 2, fillable: true }]);
+    });
+
+    it('should check statuses and fillable order files with tasks', async () => {
+        expect(await run('whitelist:status', { registry: this.registries[1].address, takers: [addr0, stranger] }))
+            .to.deep.equal([{ taker: addr0, status: '1', whitelisted: true }, { taker: stranger, status: '2', whitelisted: false }]);
+        expect(await run('whitelist:status', { checker: this.checkers[0].address, takers: [stranger] }))
+            .to.deep.equal([{ taker: stranger, status: '1', whitelisted: true }]);
+
+        const files = [whitelistedOrder(), whitelistedOrder({ salt: '2', allowedSender: addr1 })].map((order, i) => {
+            const file = path.join(this.dir, `order${i}.json`);
+            const signature = signOrder(order, this.chainId, this.swap.address, addr1Wallet.getPrivateKey());
+            fs.writeFileSync(file, JSON.stringify(buildOrderFile(order, { chainId: this.chainId, verifyingContract: this.swap.address, signature })));
+            return file;
+        });
+        expect(await run('whitelist:fillable', { taker: addr0, checkers: checkers().join(','), orders: files })).to.deep.equal([
+            { file: files[0], fillable: true },
+            { file: files[1], fillable: false, error: 'PrivateOrder' },
+        ]);
+    });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect, toBN } = require('@1inch/solidity-utils');
+const { run } = require('hardhat');
+const { hashOrderRFQ } = require('../src');
+const { addr0Wallet, addr1Wallet } = require('./helpers/utils');
+
+const TokenMock = artifacts.require('TokenMock');
+const LimitOrderProtocol = artifacts.require('LimitOrderProtocol');
+const LimitOrderProtocolPro = artifacts.require('LimitOrderProtocolPro');
+
+describe('Tasks', async () => {
+    const [addr0, addr1] = [addr0Wallet.getAddressString(), addr1Wallet.getAddressString()];
+
+    beforeEach(async () => {
+        this.dai = await TokenMock.new('DAI', 'DAI');
+        this.weth = await TokenMock.new('WETH', 'WETH');
+        this.swap = await LimitOrderProtocol.new();
+
+        await this.dai.mint(addr1, '1000000');
+        await this.weth.mint(addr0, '1000000');
+        await this.dai.approve(this.swap.address, '1000000', { from: addr1 });
+        await this.weth.approve(this.swap.address, '1000000');
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lop-tasks-'));
+    });
+
+    afterEach(async () => {
+        fs.rmSync(this.dir, { recursive: true });
+    });
+
+    describe('Order', async () => {
+        beforeEach(async () => {
+            this.file = path.join(this.dir, 'order.json');
+            await run('order:create', {
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: '100',
+                takingAmount: '1',
+                maker: addr1,
+                salt: '42',
+                protocol: this.swap.address,
+                out: this.file,
+            });
+            await run('order:sign', { order: this.file });
+        });
+
+        it('should hash order the same way as protocol', async () => {
+            const { order } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            expect(order.salt).to.equal('42');
+            expect(await run('order:hash', { order: this.file }))
+                .to.equal(await this.swap.hashOrder(order));
+        });
+
+        it('should fill signed order and report remaining', async () => {
+            expect(await run('order:remaining', { order: this.file })).to.equal('100');
+
+            await run('order:fill', { order: this.file, makingAmount: '40', threshold: '1' });
+
+            expect(await run('order:remaining', { order: this.file })).to.equal('60');
+            expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('40');
+        });
+
+        it('should cancel order', async () => {
+            await run('order:cancel', { order: this.file });
+
+            expect(await run('order:remaining', { order: this.file })).to.equal('0');
+            await expect(run('order:fill', { order: this.file, makingAmount: '1', threshold: '1' }))
+                .to.eventually.be.rejectedWith('RemainingAmountIsZero()');
+        });
+    });
+
+    describe('Pro order', async () => {
+        beforeEach(async () => {
+            this.pro = await LimitOrderProtocolPro.new();
+            await this.dai.approve(this.pro.address, '1000000', { from: addr1 });
+            await this.weth.approve(this.pro.address, '1000000');
+
+            this.file = path.join(this.dir, 'pro.json');
+            await run('order:create', {
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: '100',
+                takingAmount: '1',
+                maker: addr1,
+                protocol: this.pro.address,
+                out: this.file,
+            });
+            await run('order:sign', { order: this.file });
+        });
+
+        it('should sign and hash order for the Pro domain', async () => {
+            const { order, flavour } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            expect(flavour).to.equal('pro');
+            expect(await run('order:hash', { order: this.file }))
+                .to.equal(await this.pro.hashOrder(order));
+        });
+
+        it('should fill signed order and report remaining', async () => {
+            await run('order:fill', { order: this.file, makingAmount: '40', threshold: '1' });
+
+            expect(await run('order:remaining', { order: this.file })).to.equal('60');
+            expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('40');
+        });
+
+        it('should refuse RFQ orders', async () => {
+            await expect(run('rfq:create', { id: 1, makerAsset: this.dai.address, takerAsset: this.weth.address, makingAmount: '1', takingAmount: '1', protocol: this.pro.address }))
+                .to.eventually.be.rejectedWith(`${this.pro.address} does not support RFQ orders`);
+        });
+    });
+
+    describe('OrderRFQ', async () => {
+        beforeEach(async () => {
+            this.file = path.join(this.dir, 'rfq.json');
+            await run('rfq:create', {
+                id: 300,
+                expiration: 0,
+                makerAsset: this.dai.address,
+                takerAsset: this.weth.address,
+                makingAmount: '100',
+                takingAmount: '1',
+                maker: addr1,
+                protocol: this.swap.address,
+                out: this.file,
+            });
+            await run('rfq:sign', { order: this.file });
+        });
+
+        it('should hash order the same way as protocol', async () => {
+            const { order } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            expect(await run('rfq:hash', { order: this.file }))
+                .to.equal(hashOrderRFQ(order, await web3.eth.getChainId(), this.swap.address));
+        });
+
+        it('should fill signed order once', async () => {
+            expect(await run('rfq:status', { order: this.file })).to.equal('active');
+
+            await run('rfq:fill', { order: this.file });
+
+            expect(await run('rfq:status', { order: this.file })).to.equal('invalidated');
+            expect(await this.dai.balanceOf(addr0)).to.be.bignumber.equal('100');
+        });
+
+        it('should cancel order', async () => {
+            await run('rfq:cancel', { order: this.file });
+
+            expect(await run('rfq:status', { order: this.file })).to.equal('invalidated');
+            await expect(run('rfq:fill', { order: this.file }))
+                .to.eventually.be.rejectedWith('InvalidatedOrder()');
+        });
+
+        it('should cancel range of ids', async () => {
+            await run('rfq:cancel', { order: this.file });
+
+            const receipts = await run('rfq:cancel-range', { fromId: '250', toId: '520', maker: addr1, protocol: this.swap.address });
+
+            expect(receipts).to.have.lengthOf(3);
+            expect(await this.swap.invalidatorForOrderRFQ(addr1, 1)).to.be.bignumber.equal(toBN(2).pow(toBN(256)).subn(1));
+        });
+    });
+});